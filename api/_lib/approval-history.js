@@ -0,0 +1,82 @@
+// Approval timeline per order, kept apart from the approved_to_ship metafield
+// The metafield's updatedAt moves whenever anyone re-saves it, even to the same value, so
+// it can't say when an order was approved. Every read of the backlog (reconcile, webhooks,
+// cron, dashboard approvals) records state changes here, and approved_at is taken from the
+// transition into the current approved state.
+import { getHashFieldsJSON, putHashJSON } from './store.js';
+
+const HISTORY_KEY = 'approval-history';
+
+// Keep HMGET / HSET requests well under the REST request size limit
+const LOOKUP_CHUNK = 500;
+const WRITE_CHUNK = 200;
+
+// Oldest flips beyond this are dropped; only the latest one matters for approved_at
+const MAX_EVENTS = 50;
+
+// When the order was last moved to approved, or null if it isn't approved now.
+// Only changes are recorded, so the last event is that transition.
+export function approvedAtFrom(record) {
+  const last = record?.events?.[record.events.length - 1];
+  return last?.approved === true ? last.at : null;
+}
+
+// History records for the given order ids: { [id]: { name, events: [{ approved, at, source, actor? }] } }
+export async function loadApprovalHistory(orderIds) {
+  const ids = [...new Set(orderIds.filter(Boolean))];
+  const records = {};
+  for (let i = 0; i < ids.length; i += LOOKUP_CHUNK) {
+    Object.assign(records, await getHashFieldsJSON(HISTORY_KEY, ids.slice(i, i + LOOKUP_CHUNK)));
+  }
+  return records;
+}
+
+// Append an event for every order whose approved_to_ship differs from its last recorded
+// state. Orders carry { id, name, approved_to_ship, approval_updated_at }; a change is dated
+// by the metafield write that made it. Never-reviewed orders are not recorded.
+// Returns the history of every order passed in, updates included.
+export async function recordApprovalStates(orders, { source, actor = null } = {}) {
+  const records = await loadApprovalHistory(orders.map(o => o.id));
+  const updates = {};
+  const now = new Date().toISOString();
+
+  for (const o of orders) {
+    if (!o.id) continue;
+    const record = records[o.id];
+    const last = record?.events[record.events.length - 1];
+    if (!record && o.approved_to_ship === null) continue;
+    if (last && last.approved === o.approved_to_ship) continue;
+
+    // Clock skew or a stale metafield read must not put the flip before the previous one
+    let at = o.approval_updated_at || now;
+    if (last && new Date(at) < new Date(last.at)) at = last.at;
+
+    const event = { approved: o.approved_to_ship, at, source, ...(actor && { actor }) };
+    updates[o.id] = {
+      name: o.name || record?.name || null,
+      events: [...(record?.events || []), event].slice(-MAX_EVENTS)
+    };
+  }
+
+  const entries = Object.entries(updates);
+  for (let i = 0; i < entries.length; i += WRITE_CHUNK) {
+    await putHashJSON(HISTORY_KEY, Object.fromEntries(entries.slice(i, i + WRITE_CHUNK)));
+  }
+  return { ...records, ...updates };
+}
+
+// Replace approved_at with the recorded approval time where the history agrees with the
+// order's current state; otherwise the metafield time stays as a fallback
+export async function withApprovalHistory(orders, records = null) {
+  const history = records || await loadApprovalHistory(orders.map(o => o.id));
+  return orders.map(o => {
+    if (o.approved_to_ship !== true) return o;
+    const approvedAt = approvedAtFrom(history[o.id]);
+    return approvedAt ? { ...o, approved_at: approvedAt } : o;
+  });
+}
+
+// Record what was just read from Shopify and return the orders with history applied
+export async function trackApprovals(orders, source) {
+  return withApprovalHistory(orders, await recordApprovalStates(orders, { source }));
+}
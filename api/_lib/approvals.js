@@ -0,0 +1,127 @@
+// Write `custom.approved_to_ship` back to Shopify and keep an audit trail of who changed it
+import { pushJSON, rangeJSON } from './store.js';
+import { parseTriState } from './orders.js';
+import { recordApprovalStates } from './approval-history.js';
+
+const AUDIT_KEY = 'approval-audit';
+
+// metafieldsSet accepts at most 25 metafields per call
+const BATCH_SIZE = 25;
+
+const CURRENT_QUERY = `
+  query ($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Order {
+        id
+        name
+        metafield(namespace: "custom", key: "approved_to_ship") {
+          value
+          updatedAt
+        }
+      }
+    }
+  }
+`;
+
+const SET_MUTATION = `
+  mutation ($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        ownerId
+        value
+        updatedAt
+      }
+      userErrors {
+        field
+        message
+        elementIndex
+      }
+    }
+  }
+`;
+
+const chunk = (list, size) => {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+};
+
+// Set approved_to_ship on each order. Returns one result per order id:
+// { id, name, ok, error?, from, to, updated_at? }. A failed batch does not stop the others.
+export async function setApprovalStatus(shopify, { orderIds, approved, actor }) {
+  const value = approved ? 'true' : 'false';
+  // The metafield definition normally supplies the type; set this if the store has none
+  const type = process.env.SHOPIFY_APPROVAL_METAFIELD_TYPE || undefined;
+  const results = [];
+  const audit = [];
+  const history = [];
+
+  for (const ids of chunk(orderIds, BATCH_SIZE)) {
+    let current = [];
+    try {
+      current = (await shopify.request(CURRENT_QUERY, { ids }))?.nodes || [];
+    } catch (error) {
+      results.push(...ids.map(id => ({ id, ok: false, error: error.message })));
+      continue;
+    }
+    const byId = new Map(current.filter(Boolean).map(n => [n.id, n]));
+
+    const known = ids.filter(id => byId.has(id));
+    results.push(...ids.filter(id => !byId.has(id)).map(id => ({ id, ok: false, error: 'Order not found' })));
+    if (known.length === 0) continue;
+
+    const metafields = known.map(id => ({
+      ownerId: id, namespace: 'custom', key: 'approved_to_ship', value, ...(type && { type })
+    }));
+
+    // Writing the same value twice is harmless, so this mutation keeps the client's retries
+    let payload;
+    try {
+      payload = (await shopify.request(SET_MUTATION, { metafields }))?.metafieldsSet;
+    } catch (error) {
+      results.push(...known.map(id => ({ id, name: byId.get(id).name, ok: false, error: error.message })));
+      continue;
+    }
+
+    // metafieldsSet is all-or-nothing per call, so any user error fails the whole batch
+    const userErrors = payload?.userErrors || [];
+    if (userErrors.length > 0) {
+      const batchError = userErrors.map(e => e.message).join('; ');
+      results.push(...known.map((id, i) => ({
+        id,
+        name: byId.get(id).name,
+        ok: false,
+        error: userErrors.find(e => e.elementIndex === i)?.message || batchError
+      })));
+      continue;
+    }
+
+    const written = new Map((payload?.metafields || []).map(m => [m.ownerId, m]));
+    const at = new Date().toISOString();
+    for (const id of known) {
+      const order = byId.get(id);
+      const from = parseTriState(order.metafield?.value);
+      const result = { id, name: order.name, ok: true, from, to: approved, updated_at: written.get(id)?.updatedAt || at };
+      results.push(result);
+      // Re-saving the same value isn't a transition; date it by the earlier write
+      history.push({
+        id, name: order.name, approved_to_ship: approved,
+        approval_updated_at: from === approved ? (order.metafield?.updatedAt || result.updated_at) : result.updated_at
+      });
+      audit.push({ at, actor, order_id: id, order_name: order.name, from, to: approved, source: 'dashboard' });
+    }
+  }
+
+  // Shopify already has the new values; a KV hiccup must not report them as failed
+  await pushJSON(AUDIT_KEY, audit).catch(e => console.error('Approval audit write failed:', e));
+  await recordApprovalStates(history, { source: 'dashboard', actor })
+    .catch(e => console.error('Approval history write failed:', e));
+  return results;
+}
+
+// Most recent audit entries, optionally for a single order
+export async function loadApprovalAudit({ orderId, limit = 200 } = {}) {
+  if (!orderId) return rangeJSON(AUDIT_KEY, 0, limit - 1);
+  const entries = await rangeJSON(AUDIT_KEY);
+  return entries.filter(e => e.order_id === orderId).slice(0, limit);
+}
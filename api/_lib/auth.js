@@ -0,0 +1,43 @@
+// Shared-secret check for writes that approve or ship orders or change settings (approvals,
+// fulfillments, the calendar, cutoff rules, report and reminder recipients and channels).
+// Callers send `Authorization: Bearer <token>`. Tokens come from ADMIN_TOKENS
+// ("name:token,name:token", one per person, so the approval log records who acted) and/or the
+// shared ADMIN_TOKEN (recorded as "admin"). While neither is set such writes are refused rather
+// than left open.
+
+const SHARED_USER = 'admin';
+
+// Constant-time compare
+const safeEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+};
+
+const configuredTokens = () => {
+  const personal = String(process.env.ADMIN_TOKENS || '')
+    .split(',')
+    .map(entry => {
+      const at = entry.indexOf(':');
+      return at > 0 ? { user: entry.slice(0, at).trim(), token: entry.slice(at + 1).trim() } : null;
+    })
+    .filter(t => t?.user && t.token);
+  return process.env.ADMIN_TOKEN ? [...personal, { user: SHARED_USER, token: process.env.ADMIN_TOKEN }] : personal;
+};
+
+// { user } for a request carrying a known token, otherwise { error } to answer 401 with
+export function authenticateAdmin(req) {
+  const tokens = configuredTokens();
+  if (tokens.length === 0) return { error: 'Changes are disabled until ADMIN_TOKEN or ADMIN_TOKENS is set in Vercel' };
+  const header = String(req.headers?.authorization || '');
+  // Check every token so the response time doesn't reveal which one matched
+  let user = null;
+  for (const t of tokens) {
+    if (safeEqual(header, `Bearer ${t.token}`) && !user) user = t.user;
+  }
+  return user ? { user } : { error: 'Admin token missing or wrong' };
+}
+
+// null when the request carries an admin token, otherwise the message to answer 401 with
+export const adminAuthError = (req) => authenticateAdmin(req).error || null;
@@ -0,0 +1,116 @@
+// Working-day calendar: weekly rest days plus dated holidays/closures (all PHT dates)
+// Honoured by the SLA cutoff rolling, overdue computation and the metrics day series.
+// Warehouse hours bound the business-hours ship time in the metrics.
+
+import { addDays, phtDateKey, phtTime, weekdayOf } from './dates.js';
+import { getJSON, setJSON } from './store.js';
+import { isDateKey, TIME_RE } from './validators.js';
+
+const STORE_KEY = 'calendar';
+
+export const CLOSURE_TYPES = ['regular_holiday', 'special_holiday', 'warehouse_closure', 'no_dispatch'];
+
+// Sunday is the only standing non-working day
+export const DEFAULT_CALENDAR = { weeklyOff: [0], closures: [], hours: { start: '08:00', end: '17:00' } };
+
+// How far previous/next working day lookups will search before giving up
+const MAX_LOOKAHEAD_DAYS = 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export function createCalendar(config = DEFAULT_CALENDAR) {
+  const weeklyOff = new Set(config.weeklyOff ?? DEFAULT_CALENDAR.weeklyOff);
+  const closures = new Map((config.closures || []).map(c => [c.date, c]));
+
+  const hours = config.hours || DEFAULT_CALENDAR.hours;
+  const [startH, startM] = hours.start.split(':').map(Number);
+  const [endH, endM] = hours.end.split(':').map(Number);
+
+  const closureFor = (dateKey) => closures.get(dateKey) || null;
+
+  const isWorkingDay = (dateKey) =>
+    !weeklyOff.has(weekdayOf(dateKey)) && !closures.has(dateKey);
+
+  // Nearest working day strictly before `dateKey`
+  const previousWorkingDay = (dateKey) => {
+    let d = dateKey;
+    for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+      d = addDays(d, -1);
+      if (isWorkingDay(d)) return d;
+    }
+    return addDays(dateKey, -1);
+  };
+
+  // Nearest working day on or after `dateKey`
+  const nextWorkingDay = (dateKey) => {
+    let d = dateKey;
+    for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+      if (isWorkingDay(d)) return d;
+      d = addDays(d, 1);
+    }
+    return dateKey;
+  };
+
+  // Hours between two instants that fall inside warehouse hours on working days
+  const workingHoursBetween = (from, to) => {
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    if (!(end > start)) return 0;
+    let ms = 0;
+    for (let d = phtDateKey(start); d <= phtDateKey(end); d = addDays(d, 1)) {
+      if (!isWorkingDay(d)) continue;
+      const open = Math.max(start, phtTime(d, startH, startM).getTime());
+      const close = Math.min(end, phtTime(d, endH, endM).getTime());
+      if (close > open) ms += close - open;
+    }
+    return ms / HOUR_MS;
+  };
+
+  // Length of one working day, e.g. 9 for 08:00-17:00
+  const hoursPerDay = ((endH * 60 + endM) - (startH * 60 + startM)) / 60;
+
+  return { config, hours, hoursPerDay, isWorkingDay, closureFor, previousWorkingDay, nextWorkingDay, workingHoursBetween };
+}
+
+// Validate and normalise an edited calendar; throws with a user-facing message
+export function validateCalendar(input) {
+  if (!input || typeof input !== 'object') throw new Error('Calendar must be an object');
+
+  const weeklyOff = input.weeklyOff ?? DEFAULT_CALENDAR.weeklyOff;
+  if (!Array.isArray(weeklyOff) || weeklyOff.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    throw new Error('weeklyOff must be a list of weekdays 0-6 (0 = Sunday)');
+  }
+  if (weeklyOff.length >= 7) throw new Error('At least one weekday must be a working day');
+
+  const closures = input.closures ?? [];
+  if (!Array.isArray(closures)) throw new Error('closures must be a list');
+
+  const seen = new Set();
+  const normalized = closures.map(c => {
+    if (!isDateKey(c?.date)) throw new Error(`Invalid closure date: ${c?.date}`);
+    if (seen.has(c.date)) throw new Error(`Duplicate closure date: ${c.date}`);
+    seen.add(c.date);
+    const type = c.type || 'warehouse_closure';
+    if (!CLOSURE_TYPES.includes(type)) throw new Error(`Invalid closure type: ${type}`);
+    return { date: c.date, name: String(c.name || '').trim(), type };
+  });
+
+  normalized.sort((a, b) => a.date.localeCompare(b.date));
+
+  const hours = input.hours ?? DEFAULT_CALENDAR.hours;
+  if (!TIME_RE.test(hours?.start || '') || !TIME_RE.test(hours?.end || '')) {
+    throw new Error('Warehouse hours must be HH:MM');
+  }
+  if (hours.end <= hours.start) throw new Error('Warehouse hours must end after they start');
+
+  return { weeklyOff: [...new Set(weeklyOff)].sort(), closures: normalized, hours: { start: hours.start, end: hours.end } };
+}
+
+// Calendars saved before warehouse hours existed pick up the default hours
+export const loadCalendarConfig = async () => ({ ...DEFAULT_CALENDAR, ...await getJSON(STORE_KEY, DEFAULT_CALENDAR) });
+
+export const saveCalendarConfig = (config) => setJSON(STORE_KEY, validateCalendar(config));
+
+export async function loadCalendar() {
+  return createCalendar(await loadCalendarConfig());
+}
@@ -0,0 +1,106 @@
+// Pre-cutoff reminders: shortly before each courier cutoff (12NN provincial and 3PM metro
+// by default, see cutoffs.js) list the Ship Today orders still waiting for that pickup.
+// Checked by the cron every SLOT_MINUTES; nothing is sent when no order is at risk.
+
+import { phtDateKey, phtTime, weekdayOf } from './dates.js';
+import { getJSON, setJSON } from './store.js';
+import { DEFAULT_REPORTS, SLOT_MINUTES, reportSlot } from './report-config.js';
+import { cutoffLabel, renderCutoffAlertDigest, renderCutoffAlertHtml, renderCutoffAlertText } from './report-email.js';
+import { DEFAULT_CHANNELS, maskChannels, unmaskChannels, validateChannels } from './notifiers.js';
+import { emailList } from './validators.js';
+
+const STORE_KEY = 'cutoff-alerts';
+
+export const DEFAULT_ALERT_SETTINGS = {
+  enabled: true,
+  leadMinutes: 30,
+  to: DEFAULT_REPORTS[0].to,
+  cc: [],
+  channels: DEFAULT_CHANNELS
+};
+
+const MAX_LEAD_MINUTES = 4 * 60;
+
+// Orders that have to go out with today's pickup; overdue ones are still waiting for it too
+const AT_RISK_BUCKETS = ['ship_today', 'overdue'];
+
+// Validate and normalise edited alert settings; throws with a user-facing message
+export function validateAlertSettings(input) {
+  if (!input || typeof input !== 'object') throw new Error('Alert settings must be an object');
+
+  const leadMinutes = Number(input.leadMinutes);
+  if (!Number.isInteger(leadMinutes) || leadMinutes < SLOT_MINUTES || leadMinutes > MAX_LEAD_MINUTES || leadMinutes % SLOT_MINUTES !== 0) {
+    throw new Error(`Lead time must be a multiple of ${SLOT_MINUTES} minutes, up to ${MAX_LEAD_MINUTES / 60} hours`);
+  }
+
+  const enabled = input.enabled !== false;
+  const to = emailList(input.to || [], 'Recipients');
+  const cc = emailList(input.cc || [], 'CC');
+  const channels = validateChannels(input.channels ?? DEFAULT_CHANNELS, 'Cutoff reminders');
+  if (enabled && to.length === 0 && channels.some(c => c.type === 'email')) {
+    throw new Error('Cutoff reminders need at least one email recipient');
+  }
+
+  return { enabled, leadMinutes, to, cc, channels };
+}
+
+export const loadAlertSettings = async () => ({ ...DEFAULT_ALERT_SETTINGS, ...await getJSON(STORE_KEY, DEFAULT_ALERT_SETTINGS) });
+
+export const saveAlertSettings = (settings) => setJSON(STORE_KEY, validateAlertSettings(settings));
+
+// Settings as the settings page sees them, webhook URLs masked
+export const maskAlertSettings = (settings) => ({ ...settings, channels: maskChannels(settings.channels) });
+
+// Edited settings with the webhook URLs sent back masked restored from `stored`
+export const unmaskAlertSettings = (input, stored) => input && typeof input === 'object'
+  ? { ...input, channels: unmaskChannels(input.channels, stored.channels) }
+  : input;
+
+// Cutoff times (HH:MM) whose reminder falls in the slot `now` is in. Only working days
+// have a pickup, and only rules that apply on today's weekday count.
+export function cutoffsDue(now, { calendar, cutoffs }, { enabled, leadMinutes }) {
+  const today = phtDateKey(now);
+  if (!enabled || !calendar.isWorkingDay(today)) return [];
+
+  const slot = reportSlot(now);
+  const weekday = weekdayOf(today);
+  const times = new Set(cutoffs.rules
+    .filter(r => !r.weekdays?.length || r.weekdays.includes(weekday))
+    .map(r => r.cutoff));
+
+  return [...times].filter(time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const remindAt = new Date(phtTime(today, hours, minutes).getTime() - leadMinutes * 60 * 1000);
+    const remindSlot = reportSlot(remindAt);
+    return remindSlot.date === slot.date && remindSlot.time === slot.time;
+  }).sort();
+}
+
+// Classified approved orders that must be handed over at today's `cutoffTime`, most overdue first
+export function ordersAtRisk(approvedOrders, cutoffTime, now, { cutoffs }) {
+  const today = phtDateKey(now);
+  return approvedOrders
+    .filter(o => AT_RISK_BUCKETS.includes(o.sla_bucket) && cutoffs.cutoffFor(o, today).rule.cutoff === cutoffTime)
+    .sort((a, b) => (b.overdue_by ?? -1) - (a.overdue_by ?? -1) || new Date(a.created_at) - new Date(b.created_at));
+}
+
+// { cutoff, regions, orders } for one cutoff, or null when nothing is at risk
+export function buildCutoffCheck(approvedOrders, cutoffTime, now, slaContext) {
+  const orders = ordersAtRisk(approvedOrders, cutoffTime, now, slaContext);
+  if (orders.length === 0) return null;
+  const today = phtDateKey(now);
+  const regions = [...new Set(orders.map(o => slaContext.cutoffs.cutoffFor(o, today).rule.name))];
+  return { cutoff: cutoffTime, regions, orders };
+}
+
+// Subject, email bodies and chat digest for one buildCutoffCheck result
+export function buildCutoffAlertMessage(check, now) {
+  const [hours, minutes] = check.cutoff.split(':').map(Number);
+  const minutesLeft = Math.max(0, Math.round((phtTime(phtDateKey(now), hours, minutes) - now) / 60000));
+  return {
+    subject: `⏰ ${cutoffLabel(check.cutoff)} cutoff: ${check.orders.length} ${check.regions.join(' / ')} order${check.orders.length === 1 ? '' : 's'} not shipped yet`,
+    text: renderCutoffAlertText(check, { minutesLeft }),
+    html: renderCutoffAlertHtml(check, { minutesLeft }),
+    digest: renderCutoffAlertDigest(check, { minutesLeft })
+  };
+}
@@ -0,0 +1,90 @@
+// Courier cutoff rule table: which pickup time applies to an order on a given day
+// Rules are checked in order and the first match wins. A rule matches when the
+// order's province, city, zip prefix or tags hit any of its lists (empty `match`
+// matches everything) and the day is one of its `weekdays` (empty = every day).
+
+import { phtTime, weekdayOf } from './dates.js';
+import { getJSON, setJSON } from './store.js';
+import { TIME_RE } from './validators.js';
+
+const STORE_KEY = 'cutoff-rules';
+
+// Same behaviour as the original hardcoded cutoffs: provincial 12NN, metro 3PM
+export const DEFAULT_CUTOFF_RULES = [
+  { id: 'provincial', name: 'Provincial', match: { tags: ['provincial'] }, weekdays: [], cutoff: '12:00', courier: '' },
+  { id: 'metro', name: 'Metro', match: {}, weekdays: [], cutoff: '15:00', courier: '' },
+];
+
+// Used when no rule matches (e.g. a table without a catch-all)
+const FALLBACK_RULE = DEFAULT_CUTOFF_RULES[1];
+
+const MATCH_FIELDS = ['provinces', 'cities', 'zips', 'tags'];
+
+const lower = (v) => String(v || '').trim().toLowerCase();
+
+const matchesOrder = (match = {}, order) => {
+  const lists = MATCH_FIELDS.map(f => (match[f] || []).map(lower));
+  if (lists.every(l => l.length === 0)) return true;
+
+  const [provinces, cities, zips, tags] = lists;
+  const addr = order.shipping_address || {};
+  const orderTags = (order.tags || []).map(lower);
+
+  return provinces.some(p => p === lower(addr.province) || p === lower(addr.province_code))
+    || cities.some(c => c === lower(addr.city))
+    || zips.some(z => lower(addr.zip).startsWith(z))
+    || tags.some(t => orderTags.includes(t));
+};
+
+export function createCutoffResolver(rules = DEFAULT_CUTOFF_RULES) {
+  const ruleFor = (order, dateKey) => {
+    const weekday = weekdayOf(dateKey);
+    return rules.find(r =>
+      (!r.weekdays?.length || r.weekdays.includes(weekday)) && matchesOrder(r.match, order)
+    ) || FALLBACK_RULE;
+  };
+
+  // Cutoff instant for an order on a PHT date, plus the rule that set it
+  const cutoffFor = (order, dateKey) => {
+    const rule = ruleFor(order, dateKey);
+    const [hours, minutes] = rule.cutoff.split(':').map(Number);
+    return { at: phtTime(dateKey, hours, minutes), rule };
+  };
+
+  return { rules, ruleFor, cutoffFor };
+}
+
+// Validate and normalise an edited rule table; throws with a user-facing message
+export function validateCutoffRules(input) {
+  if (!Array.isArray(input) || input.length === 0) throw new Error('At least one cutoff rule is required');
+
+  const ids = new Set();
+  return input.map((r, i) => {
+    const name = String(r?.name || '').trim();
+    if (!name) throw new Error(`Rule ${i + 1} needs a name`);
+    if (!TIME_RE.test(r.cutoff || '')) throw new Error(`Rule "${name}" has an invalid cutoff time (use HH:MM)`);
+
+    const weekdays = r.weekdays || [];
+    if (!Array.isArray(weekdays) || weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error(`Rule "${name}" has invalid weekdays (0 = Sunday … 6 = Saturday)`);
+    }
+
+    const match = {};
+    for (const field of MATCH_FIELDS) {
+      const values = r.match?.[field] || [];
+      if (!Array.isArray(values)) throw new Error(`Rule "${name}": match.${field} must be a list`);
+      const cleaned = values.map(v => String(v).trim()).filter(Boolean);
+      if (cleaned.length) match[field] = cleaned;
+    }
+
+    let id = String(r.id || '').trim() || name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    while (ids.has(id)) id = `${id}-${i}`;
+    ids.add(id);
+
+    return { id, name, match, weekdays: [...new Set(weekdays)].sort(), cutoff: r.cutoff, courier: String(r.courier || '').trim() };
+  });
+}
+
+export const loadCutoffRules = () => getJSON(STORE_KEY, DEFAULT_CUTOFF_RULES);
+
+export const saveCutoffRules = (rules) => setJSON(STORE_KEY, validateCutoffRules(rules));
@@ -0,0 +1,27 @@
+// PHT (UTC+8, no DST) date helpers. Dates are handled as YYYY-MM-DD keys.
+
+export const PHT_OFFSET_MS = 8 * 60 * 60 * 1000;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD of an instant in PHT
+export const phtDateKey = (date) => new Date(new Date(date).getTime() + PHT_OFFSET_MS).toISOString().split('T')[0];
+
+// Instant for a PHT wall-clock time on a given YYYY-MM-DD
+export const phtTime = (dateKey, hours = 0, minutes = 0) =>
+  new Date(Date.parse(`${dateKey}T00:00:00Z`) + (hours * 60 + minutes) * 60 * 1000 - PHT_OFFSET_MS);
+
+export const addDays = (dateKey, n) =>
+  new Date(Date.parse(`${dateKey}T00:00:00Z`) + n * DAY_MS).toISOString().split('T')[0];
+
+// 0 = Sunday
+export const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+// Whole days from one key to another (negative if `to` is earlier)
+export const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Every key from `from` to `to` inclusive
+export const eachDay = (from, to) => {
+  const keys = [];
+  for (let key = from; key <= to; key = addDays(key, 1)) keys.push(key);
+  return keys;
+};
@@ -0,0 +1,112 @@
+// Expected Ship Today volume for the coming working days, for scheduling packers
+// A day's forecast per region is the larger of:
+// - known: approved backlog orders already due that day (delivery dates, approvals after
+//   today's cutoff), and
+// - typical: the median fulfilled volume on that weekday over the last HISTORY_WEEKS weeks,
+//   which covers orders that will still be approved before the day's cutoff.
+// Reading HISTORY_WEEKS of fulfilled orders is slow, so the typical volumes are kept in the store
+// and refreshed by the 8 AM cron; the dashboard and reports only read them.
+import { addDays, eachDay, phtDateKey, weekdayOf } from './dates.js';
+import { dueFor } from './sla.js';
+import { describe } from './stats.js';
+import { getJSON, setJSON } from './store.js';
+import { buildPeriod, loadFulfilledOrders } from './fulfillment-metrics.js';
+
+export const HISTORY_WEEKS = 8;
+
+const TYPICAL_KEY = 'forecast-typical';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// The next working day after `today`, then every working day through the end of its week (Saturday)
+export function forecastDays(today, calendar) {
+  const first = calendar.nextWorkingDay(addDays(today, 1));
+  const weekEnd = addDays(first, 6 - weekdayOf(first));
+  return eachDay(first, weekEnd).filter(calendar.isWorkingDay);
+}
+
+// Median metro/provincial volume per weekday from buildPeriod days; weekdays with no history are left out
+function typicalByWeekday(historyDays) {
+  const samples = {};
+  for (const d of historyDays) {
+    if (!d.isWorkingDay) continue;
+    if (!samples[d.dayOfWeek]) samples[d.dayOfWeek] = { metro: [], provincial: [] };
+    samples[d.dayOfWeek].metro.push(d.metro);
+    samples[d.dayOfWeek].provincial.push(d.provincial);
+  }
+  const typical = {};
+  for (const [weekday, s] of Object.entries(samples)) {
+    typical[weekday] = { metro: Math.round(describe(s.metro).p50), provincial: Math.round(describe(s.provincial).p50) };
+  }
+  return typical;
+}
+
+// `approvedOrders` is the approved backlog; `typicalVolume` the stored record from refreshTypicalVolume
+export function buildForecast({ approvedOrders, typicalVolume, today, slaContext }) {
+  const days = forecastDays(today, slaContext.calendar);
+  const typical = typicalVolume.byWeekday;
+
+  const known = Object.fromEntries(days.map(d => [d, { metro: 0, provincial: 0 }]));
+  for (const o of approvedOrders) {
+    const { dueDay } = dueFor(o, slaContext);
+    if (known[dueDay]) known[dueDay][o.is_provincial ? 'provincial' : 'metro']++;
+  }
+
+  const forecast = days.map(date => {
+    const usual = typical[weekdayOf(date)] || null;
+    const metro = Math.max(known[date].metro, usual?.metro ?? 0);
+    const provincial = Math.max(known[date].provincial, usual?.provincial ?? 0);
+    return {
+      date,
+      weekday: WEEKDAY_NAMES[weekdayOf(date)],
+      known: known[date],
+      typical: usual,
+      expected: { metro, provincial, total: metro + provincial }
+    };
+  });
+
+  const sum = (list) => list.reduce((acc, d) => ({
+    metro: acc.metro + d.expected.metro,
+    provincial: acc.provincial + d.expected.provincial,
+    total: acc.total + d.expected.total
+  }), { metro: 0, provincial: 0, total: 0 });
+
+  return {
+    days: forecast,
+    tomorrow: forecast[0] || null,
+    restOfWeek: sum(forecast.slice(1)),
+    basis: { weeks: typicalVolume.weeks, from: typicalVolume.from, to: typicalVolume.to }
+  };
+}
+
+// Read the last HISTORY_WEEKS of fulfilled orders from Shopify and store the weekday medians:
+// { from, to, weeks, byWeekday: { [weekday]: { metro, provincial } } }
+export async function refreshTypicalVolume(shopify, { now = new Date(), slaContext }) {
+  const today = phtDateKey(now);
+  const from = addDays(today, -HISTORY_WEEKS * 7);
+  const to = addDays(today, -1);
+  const history = await loadFulfilledOrders(shopify, { from, to });
+  const { days: historyDays } = buildPeriod(history, from, to, slaContext);
+  return setJSON(TYPICAL_KEY, { from, to, weeks: HISTORY_WEEKS, byWeekday: typicalByWeekday(historyDays) });
+}
+
+// Forecast from the given approved backlog and the stored typical volumes. Only computes them
+// here when the cron hasn't stored any yet (first deploy, or no KV store configured).
+export async function loadForecast(shopify, { approvedOrders, now = new Date(), slaContext }) {
+  const typicalVolume = await getJSON(TYPICAL_KEY, null) || await refreshTypicalVolume(shopify, { now, slaContext });
+  return buildForecast({ approvedOrders, typicalVolume, today: phtDateKey(now), slaContext });
+}
+
+// Plain-text lines for the daily emails, one per forecast day plus the rest-of-week total
+export function formatForecast(forecast) {
+  if (!forecast?.tomorrow) return '';
+  const lines = forecast.days.map(d => {
+    const due = d.known.metro + d.known.provincial;
+    return `• ${d.weekday} ${d.date.slice(5)}: ~${d.expected.total} to ship (${d.expected.metro} metro · ${d.expected.provincial} provincial)${due > 0 ? `, ${due} already due` : ''}`;
+  });
+  if (forecast.days.length > 1) {
+    const rest = forecast.restOfWeek;
+    lines.push(`• Rest of week after ${forecast.tomorrow.weekday}: ~${rest.total} (${rest.metro} metro · ${rest.provincial} provincial)`);
+  }
+  return lines.join('\n') + '\n';
+}
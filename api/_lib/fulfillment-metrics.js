@@ -0,0 +1,290 @@
+// Fulfilled-order series shared by /api/metrics and the workload forecast: reads every
+// order shipped in a window and rolls it up per day, with ship time, SLA compliance, a
+// per-courier breakdown and a weekday × hour activity heatmap
+import { dueFor } from './sla.js';
+import { DAY_MS, PHT_OFFSET_MS, eachDay, phtDateKey, phtTime, weekdayOf } from './dates.js';
+import { describe } from './stats.js';
+import { activeFulfillments, isTestOrder, parseTriState } from './orders.js';
+import { withApprovalHistory } from './approval-history.js';
+
+const FULFILLED_ORDERS_QUERY = `
+  query ($cursor: String, $search: String) {
+    orders(first: 250, after: $cursor, sortKey: CREATED_AT, reverse: true, query: $search) {
+      pageInfo { hasNextPage endCursor }
+      edges {
+        node {
+          id
+          name
+          createdAt
+          tags
+          displayFulfillmentStatus
+          shippingAddress {
+            city
+            province
+            provinceCode
+            zip
+          }
+          fulfillments {
+            createdAt
+            status
+            deliveredAt
+            trackingInfo(first: 1) { company }
+          }
+          metafield(namespace: "custom", key: "approved_to_ship") {
+            value
+            updatedAt
+          }
+          preferredDeliveryDateMetafield: metafield(namespace: "custom", key: "preferred_delivery_data") {
+            value
+          }
+          discountCodes
+        }
+      }
+    }
+  }
+`;
+
+const emptyCompliance = () => ({ onTime: 0, late: 0, rate: null });
+
+// On-time share of approved orders; rate is a percentage, null with nothing to measure
+const withRate = (c) => ({ ...c, rate: c.onTime + c.late > 0 ? parseFloat(((c.onTime / (c.onTime + c.late)) * 100).toFixed(1)) : null });
+
+const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / (1000 * 60 * 60);
+
+// One entry per day in [from, to] from orders shipped in that window, plus ship time
+// statistics over the whole window. Every fulfillment of an order counts as a shipment on its
+// own date; the order itself counts as fulfilled on the day its last item went out.
+// Ship time is measured from approval to the first shipment and, separately, to completion,
+// both in wall-clock hours and in business hours (warehouse hours on working days only).
+// Compliance counts an order as on time when it was complete by its SLA due time (region
+// cutoff or delivery date).
+export function buildPeriod(orders, from, to, slaContext) {
+  const { calendar } = slaContext;
+  const inRange = (dayKey) => dayKey >= from && dayKey <= to;
+  const fulfilledPerDay = {};
+  const provincialPerDay = {};
+  const metroPerDay = {};
+  const shipmentsPerDay = {}; // every fulfillment, split shipments included
+  const shipTimePerDay = {}; // approval-to-first-shipment hours per day
+  const businessTimePerDay = {};
+  const completeTimePerDay = {}; // approval-to-complete hours per day
+  const businessCompletePerDay = {};
+  const compliancePerDay = {}; // { all, metro, provincial } on-time/late counts per day
+  const push = (perDay, dayKey, value) => {
+    if (!perDay[dayKey]) perDay[dayKey] = [];
+    perDay[dayKey].push(value);
+  };
+
+  for (const o of orders) {
+    for (const shipment of o.shipments) {
+      const dayKey = phtDateKey(shipment.shipped_at);
+      if (inRange(dayKey)) shipmentsPerDay[dayKey] = (shipmentsPerDay[dayKey] || 0) + 1;
+    }
+
+    // Time to first shipment, on the day it went out (only if approval came BEFORE it)
+    const firstDay = o.first_fulfilled_at && phtDateKey(o.first_fulfilled_at);
+    if (firstDay && inRange(firstDay) && o.approved_at && new Date(o.approved_at) < new Date(o.first_fulfilled_at)) {
+      push(shipTimePerDay, firstDay, hoursBetween(o.approved_at, o.first_fulfilled_at));
+      push(businessTimePerDay, firstDay, calendar.workingHoursBetween(o.approved_at, o.first_fulfilled_at));
+    }
+
+    // Partially fulfilled orders have no completion yet
+    if (!o.completed_at) continue;
+    const dayKey = phtDateKey(o.completed_at);
+    if (!inRange(dayKey)) continue;
+
+    // Count fulfilled per day (total + split)
+    fulfilledPerDay[dayKey] = (fulfilledPerDay[dayKey] || 0) + 1;
+    if (o.is_provincial) {
+      provincialPerDay[dayKey] = (provincialPerDay[dayKey] || 0) + 1;
+    } else {
+      metroPerDay[dayKey] = (metroPerDay[dayKey] || 0) + 1;
+    }
+
+    // Time to complete and SLA compliance (only if approval came BEFORE completion)
+    if (o.approved_at && new Date(o.approved_at) < new Date(o.completed_at)) {
+      push(completeTimePerDay, dayKey, hoursBetween(o.approved_at, o.completed_at));
+      push(businessCompletePerDay, dayKey, calendar.workingHoursBetween(o.approved_at, o.completed_at));
+
+      const onTime = new Date(o.completed_at) <= dueFor(o, slaContext).dueAt;
+      if (!compliancePerDay[dayKey]) {
+        compliancePerDay[dayKey] = { all: emptyCompliance(), metro: emptyCompliance(), provincial: emptyCompliance() };
+      }
+      for (const group of ['all', o.is_provincial ? 'provincial' : 'metro']) {
+        compliancePerDay[dayKey][group][onTime ? 'onTime' : 'late']++;
+      }
+    }
+  }
+
+  const days = eachDay(from, to).map(key => {
+    const dayOfWeek = new Date(`${key}T00:00:00Z`).getUTCDay(); // 0=Sun
+    const shipTimes = shipTimePerDay[key] || [];
+    const shipTime = describe(shipTimes);
+
+    return {
+      date: key,
+      dayOfWeek,
+      provincial: provincialPerDay[key] || 0,
+      metro: metroPerDay[key] || 0,
+      isSunday: dayOfWeek === 0,
+      // Holidays, closures and weekly rest days from the working-day calendar
+      isWorkingDay: calendar.isWorkingDay(key),
+      closure: calendar.closureFor(key)?.name || null,
+      fulfilled: fulfilledPerDay[key] || 0,
+      shipments: shipmentsPerDay[key] || 0,
+      avgShipTimeHours: shipTime.mean,
+      shipTimeSamples: shipTimes.length,
+      // { mean, p50, p90, max, samples } to first shipment and to completion,
+      // in wall-clock and business hours
+      shipTime,
+      businessShipTime: describe(businessTimePerDay[key] || []),
+      completeTime: describe(completeTimePerDay[key] || []),
+      businessCompleteTime: describe(businessCompletePerDay[key] || []),
+      // { onTime, late, rate } overall and per region
+      compliance: withRate(compliancePerDay[key]?.all || emptyCompliance()),
+      metroCompliance: withRate(compliancePerDay[key]?.metro || emptyCompliance()),
+      provincialCompliance: withRate(compliancePerDay[key]?.provincial || emptyCompliance()),
+    };
+  });
+
+  const sumCompliance = (field) => withRate(days.reduce((acc, d) => ({
+    onTime: acc.onTime + d[field].onTime,
+    late: acc.late + d[field].late
+  }), emptyCompliance()));
+
+  return {
+    days,
+    totalFulfilled: days.reduce((sum, d) => sum + d.fulfilled, 0),
+    totalShipments: days.reduce((sum, d) => sum + d.shipments, 0),
+    shipTime: describe(Object.values(shipTimePerDay).flat()),
+    businessShipTime: describe(Object.values(businessTimePerDay).flat()),
+    completeTime: describe(Object.values(completeTimePerDay).flat()),
+    businessCompleteTime: describe(Object.values(businessCompletePerDay).flat()),
+    compliance: sumCompliance('compliance'),
+    metroCompliance: sumCompliance('metroCompliance'),
+    provincialCompliance: sumCompliance('provincialCompliance')
+  };
+}
+
+// Fulfillments without tracking company are grouped together
+const courierName = (company) => company?.trim() || 'Unknown';
+
+// Per-courier volume and speed over [from, to]: completed orders and ship time by the order's
+// courier, shipments and in-transit time (shipped to delivered, wall clock) per shipment.
+// Transit only counts shipments Shopify has a delivered event for.
+export function buildCourierBreakdown(orders, from, to) {
+  const inRange = (dayKey) => dayKey >= from && dayKey <= to;
+  const couriers = new Map();
+  const entry = (courier) => {
+    if (!couriers.has(courier)) {
+      couriers.set(courier, { courier, fulfilled: 0, shipments: 0, shipTimes: [], transit: [], metroTransit: [], provincialTransit: [] });
+    }
+    return couriers.get(courier);
+  };
+
+  for (const o of orders) {
+    for (const shipment of o.shipments) {
+      if (!inRange(phtDateKey(shipment.shipped_at))) continue;
+      const c = entry(shipment.courier);
+      c.shipments++;
+      if (shipment.delivered_at && new Date(shipment.delivered_at) > new Date(shipment.shipped_at)) {
+        const hours = hoursBetween(shipment.shipped_at, shipment.delivered_at);
+        c.transit.push(hours);
+        (o.is_provincial ? c.provincialTransit : c.metroTransit).push(hours);
+      }
+    }
+    if (o.completed_at && inRange(phtDateKey(o.completed_at))) entry(o.courier).fulfilled++;
+    if (o.first_fulfilled_at && inRange(phtDateKey(o.first_fulfilled_at))
+      && o.approved_at && new Date(o.approved_at) < new Date(o.first_fulfilled_at)) {
+      entry(o.courier).shipTimes.push(hoursBetween(o.approved_at, o.first_fulfilled_at));
+    }
+  }
+
+  return [...couriers.values()]
+    .map(c => ({
+      courier: c.courier,
+      fulfilled: c.fulfilled,
+      shipments: c.shipments,
+      shipTime: describe(c.shipTimes),
+      transitTime: describe(c.transit),
+      metroTransitTime: describe(c.metroTransit),
+      provincialTransitTime: describe(c.provincialTransit)
+    }))
+    .sort((a, b) => b.shipments - a.shipments);
+}
+
+// When approvals and shipments happen: counts per PHT weekday (0 = Sunday) × hour (0-23)
+// over [from, to]. Approvals only cover orders that have since shipped, as that is what
+// loadFulfilledOrders reads.
+export function buildActivityHeatmap(orders, from, to) {
+  const grid = () => Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const approvals = grid();
+  const fulfillments = grid();
+  const add = (matrix, at) => {
+    const dayKey = phtDateKey(at);
+    if (dayKey < from || dayKey > to) return;
+    matrix[weekdayOf(dayKey)][new Date(new Date(at).getTime() + PHT_OFFSET_MS).getUTCHours()]++;
+  };
+
+  for (const o of orders) {
+    if (o.approved_at) add(approvals, o.approved_at);
+    for (const shipment of o.shipments) add(fulfillments, shipment.shipped_at);
+  }
+  return { approvals, fulfillments };
+}
+
+// Orders with a shipment between the start of `from` and the end of `to` (PHT date keys),
+// normalised for buildPeriod / buildCourierBreakdown
+export async function loadFulfilledOrders(shopify, { from, to }) {
+  // Fulfilling an order bumps its updated_at, so this catches every order shipped in the
+  // window, including ones created before it started. Partially fulfilled orders are
+  // included for their first shipments.
+  const sinceISO = phtTime(from).toISOString();
+  const untilISO = new Date(phtTime(to).getTime() + DAY_MS).toISOString();
+
+  const { nodes: allOrders } = await shopify.paginate(FULFILLED_ORDERS_QUERY, {
+    connection: 'orders',
+    variables: { search: `(fulfillment_status:shipped OR fulfillment_status:partial) updated_at:>=${sinceISO} created_at:<${untilISO}` }
+  });
+
+  const readOrders = allOrders
+    .filter(n => !isTestOrder(n))
+    .map(n => {
+      const shipments = activeFulfillments(n.fulfillments).map(f => ({
+        shipped_at: f.createdAt,
+        delivered_at: f.deliveredAt || null,
+        courier: courierName(f.trackingInfo?.[0]?.company)
+      }));
+      const mf = n.metafield;
+      const isApproved = parseTriState(mf?.value) === true;
+
+      return {
+        id: n.id,
+        name: n.name,
+        created_at: n.createdAt,
+        shipments,
+        first_fulfilled_at: shipments[0]?.shipped_at || null,
+        // The last shipment completes the order once nothing is left to fulfill
+        completed_at: n.displayFulfillmentStatus === 'FULFILLED' ? (shipments[shipments.length - 1]?.shipped_at || null) : null,
+        // Split orders are credited to the courier that took the first shipment
+        courier: shipments[0]?.courier || null,
+        approved_to_ship: isApproved,
+        approved_at: isApproved ? (mf?.updatedAt || null) : null,
+        preferred_delivery_date: n.preferredDeliveryDateMetafield?.value || null,
+        tags: n.tags || [],
+        is_provincial: (n.tags || []).some(t => t.toLowerCase() === 'provincial'),
+        shipping_address: n.shippingAddress ? {
+          city: n.shippingAddress.city || '',
+          province: n.shippingAddress.province || '',
+          province_code: n.shippingAddress.provinceCode || '',
+          zip: n.shippingAddress.zip || '',
+        } : null,
+      };
+    });
+
+  // Ship times run from the recorded approval, not the metafield's last save
+  return withApprovalHistory(readOrders).catch(error => {
+    console.error('Approval history unavailable:', error);
+    return readOrders;
+  });
+}
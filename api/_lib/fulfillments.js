@@ -0,0 +1,130 @@
+// Create fulfillments (with tracking) through the Fulfillment Orders API
+// Each order's open fulfillment orders are fulfilled in full in one fulfillmentCreateV2 call.
+// Only orders approved to ship (custom.approved_to_ship) are fulfilled.
+import { parseTriState } from './orders.js';
+
+const FULFILLMENT_ORDERS_QUERY = `
+  query ($id: ID!) {
+    order(id: $id) {
+      id
+      name
+      displayFulfillmentStatus
+      metafield(namespace: "custom", key: "approved_to_ship") {
+        value
+      }
+      fulfillmentOrders(first: 20) {
+        edges {
+          node {
+            id
+            status
+            supportedActions {
+              action
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const CREATE_MUTATION = `
+  mutation ($fulfillment: FulfillmentV2Input!) {
+    fulfillmentCreateV2(fulfillment: $fulfillment) {
+      fulfillment {
+        id
+        status
+        createdAt
+        trackingInfo {
+          number
+          company
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Fulfillment orders we can still ship from
+const FULFILLABLE = ['OPEN', 'IN_PROGRESS'];
+
+// Whether any of the fulfillment orders we tried to ship can still be fulfilled
+async function stillFulfillable(shopify, orderId, attempted) {
+  const order = (await shopify.request(FULFILLMENT_ORDERS_QUERY, { id: orderId }))?.order;
+  const ids = new Set(attempted.map(fo => fo.id));
+  return (order?.fulfillmentOrders.edges || [])
+    .some(e => ids.has(e.node.id) && FULFILLABLE.includes(e.node.status));
+}
+
+async function fulfillOne(shopify, { orderId, trackingNumber, company, notifyCustomer }) {
+  const order = (await shopify.request(FULFILLMENT_ORDERS_QUERY, { id: orderId }))?.order;
+  if (!order) return { id: orderId, ok: false, error: 'Order not found' };
+  if (parseTriState(order.metafield?.value) !== true) {
+    return { id: orderId, name: order.name, ok: false, error: 'Not approved to ship' };
+  }
+
+  const fulfillmentOrders = order.fulfillmentOrders.edges
+    .map(e => e.node)
+    .filter(fo => FULFILLABLE.includes(fo.status)
+      && fo.supportedActions.some(a => a.action === 'CREATE_FULFILLMENT'));
+
+  if (fulfillmentOrders.length === 0) {
+    return { id: orderId, name: order.name, ok: false, error: `Nothing left to fulfill (${order.displayFulfillmentStatus})` };
+  }
+
+  // Never retried: a second attempt after a lost response would ship the order twice
+  let payload;
+  try {
+    payload = (await shopify.request(CREATE_MUTATION, {
+      fulfillment: {
+        lineItemsByFulfillmentOrder: fulfillmentOrders.map(fo => ({ fulfillmentOrderId: fo.id })),
+        trackingInfo: { number: trackingNumber, ...(company && { company }) },
+        notifyCustomer
+      }
+    }, { retry: false }))?.fulfillmentCreateV2;
+  } catch (error) {
+    // The mutation may have gone through before the error; if the order now has nothing left
+    // to ship, report it fulfilled so nobody sends it again
+    if (await stillFulfillable(shopify, orderId, fulfillmentOrders).catch(() => true)) throw error;
+    console.warn(`Fulfillment for ${orderId} errored but went through:`, error);
+    payload = {};
+  }
+
+  if (payload?.userErrors?.length) {
+    return { id: orderId, name: order.name, ok: false, error: payload.userErrors.map(e => e.message).join('; ') };
+  }
+
+  return {
+    id: orderId,
+    name: order.name,
+    ok: true,
+    fulfillment_id: payload?.fulfillment?.id || null,
+    fulfilled_at: payload?.fulfillment?.createdAt || new Date().toISOString(),
+    tracking_number: trackingNumber,
+    company: company || null
+  };
+}
+
+// Fulfill each order in turn. One order failing never stops the rest. An order listed more
+// than once is rejected outright, since it's unclear which tracking number is meant.
+export async function createFulfillments(shopify, items, { notifyCustomer = true } = {}) {
+  const counts = new Map();
+  for (const item of items) counts.set(item.orderId, (counts.get(item.orderId) || 0) + 1);
+
+  const results = [];
+  for (const item of items) {
+    if (counts.get(item.orderId) > 1) {
+      results.push({ id: item.orderId, ok: false, error: 'Order listed more than once' });
+      continue;
+    }
+    try {
+      results.push(await fulfillOne(shopify, { ...item, notifyCustomer }));
+    } catch (error) {
+      console.error(`Fulfillment failed for ${item.orderId}:`, error);
+      results.push({ id: item.orderId, ok: false, error: error.message });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,200 @@
+// Outbound notification channels for the reports and cutoff reminders
+// Each report (report-config.js) and the reminder settings (cutoff-alerts.js) pick a list of
+// channels: { type: 'email' } goes out through AgentMail to the report's to/cc, while
+// { type: 'slack' | 'google_chat', webhookUrl } posts to an incoming webhook. Messages are
+// built once ({ subject, text, html, attachments, digest }) and every driver formats the parts
+// its channel can show; chat drivers use the `digest` and skip the CSV attachments.
+
+const AGENTMAIL_INBOX = 'edwin@mail.andyou.ph';
+
+// Chat messages stay short; the email and the dashboard carry the full lists
+const MAX_CHAT_ITEMS = 20;
+
+// Slack rejects section text over 3000 characters
+const SLACK_SECTION_LIMIT = 3000;
+
+// Base error; `status` is the HTTP status a route should answer with
+export class NotifierError extends Error {
+  constructor(message, { status = 502, cause } = {}) {
+    super(message);
+    this.name = 'NotifierError';
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+const postJSON = async (label, url, body, headers = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+  } catch (fetchErr) {
+    console.error(`${label} fetch error:`, fetchErr);
+    throw new NotifierError(`${label} request failed: ${fetchErr.message}`, { cause: fetchErr });
+  }
+
+  if (!response.ok) {
+    const err = await response.text();
+    console.error(`${label} error response:`, err);
+    throw new NotifierError(`${label} send failed (${response.status}): ${err}`);
+  }
+};
+
+// Items of a digest section, cut to MAX_CHAT_ITEMS with an "…and N more" line
+const chatItems = (section, bullet) => {
+  const shown = section.items.slice(0, MAX_CHAT_ITEMS).map(item => `${bullet} ${item}`);
+  const hidden = section.items.length - shown.length;
+  return hidden > 0 ? [...shown, `…and ${hidden} more`] : shown;
+};
+
+// ---- AgentMail (email) ----
+
+// Through AgentMail's inbox endpoint, which supports attachments and an html body alongside text
+async function sendEmail(message, { to = [], cc = [] }) {
+  const apiKey = process.env.AGENTMAIL_API_KEY;
+  if (!apiKey) throw new NotifierError('AgentMail API not configured', { status: 400 });
+  if (to.length === 0) throw new NotifierError('No email recipients', { status: 400 });
+
+  const { subject, text, html, attachments } = message;
+  await postJSON('Email', `https://api.agentmail.to/v0/inboxes/${AGENTMAIL_INBOX}/messages/send`, {
+    to,
+    ...(cc.length > 0 && { cc }),
+    subject,
+    text,
+    ...(html && { html }),
+    ...(attachments?.length > 0 && { attachments })
+  }, { 'Authorization': `Bearer ${apiKey}` });
+}
+
+// Slack mrkdwn and Google Chat text both read &, < and > as markup (<url|label> links, mentions)
+const chatEscape = (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// ---- Slack incoming webhook ----
+
+export function formatSlackMessage({ subject, digest }) {
+  const clip = (text) => text.length > SLACK_SECTION_LIMIT ? `${text.slice(0, SLACK_SECTION_LIMIT - 1)}…` : text;
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: digest.title.slice(0, 150), emoji: true } }
+  ];
+  if (digest.lines.length > 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: clip(digest.lines.map(chatEscape).join('\n')) } });
+  }
+  for (const section of digest.sections) {
+    const items = chatItems(section, '•').map(chatEscape).join('\n');
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: clip(`*${chatEscape(section.title)}*\n${items}`) } });
+  }
+  if (digest.link) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `<${digest.link.url}|${chatEscape(digest.link.label)}>` }] });
+  }
+  // `text` is the notification preview and the fallback for clients without blocks
+  return { text: subject, blocks };
+}
+
+async function sendSlack(message, recipients, { webhookUrl }) {
+  await postJSON('Slack webhook', webhookUrl, formatSlackMessage(message));
+}
+
+// ---- Google Chat incoming webhook ----
+
+export function formatGoogleChatMessage({ digest }) {
+  const parts = [`*${chatEscape(digest.title)}*`];
+  if (digest.lines.length > 0) parts.push(digest.lines.map(chatEscape).join('\n'));
+  for (const section of digest.sections) {
+    parts.push(`*${chatEscape(section.title)}*\n${chatItems(section, '•').map(chatEscape).join('\n')}`);
+  }
+  if (digest.link) parts.push(`<${digest.link.url}|${chatEscape(digest.link.label)}>`);
+  return { text: parts.join('\n\n') };
+}
+
+async function sendGoogleChat(message, recipients, { webhookUrl }) {
+  await postJSON('Google Chat webhook', webhookUrl, formatGoogleChatMessage(message));
+}
+
+const DRIVERS = {
+  email: { label: 'Email (AgentMail)', send: sendEmail, webhook: false },
+  slack: { label: 'Slack', send: sendSlack, webhook: true },
+  google_chat: { label: 'Google Chat', send: sendGoogleChat, webhook: true },
+};
+
+export const NOTIFIER_TYPES = Object.keys(DRIVERS);
+
+export const NOTIFIER_LABELS = Object.fromEntries(Object.entries(DRIVERS).map(([type, d]) => [type, d.label]));
+
+export const DEFAULT_CHANNELS = [{ type: 'email' }];
+
+// Webhook URLs are credentials: settings responses only show the host and the last 4 characters
+const MASK = '…';
+
+export const maskWebhookUrl = (value) => `${new URL(value).origin}/${MASK}${value.slice(-4)}`;
+
+export const maskChannels = (channels) =>
+  channels.map(c => c.webhookUrl ? { ...c, webhookUrl: maskWebhookUrl(c.webhookUrl) } : c);
+
+// Put back the stored URL for webhooks the settings page sent back masked
+export const unmaskChannels = (input, stored = []) => Array.isArray(input)
+  ? input.map(c => {
+    const original = c?.webhookUrl?.includes(MASK)
+      && stored.find(s => s.type === c.type && s.webhookUrl && maskWebhookUrl(s.webhookUrl) === c.webhookUrl);
+    return original ? { ...c, webhookUrl: original.webhookUrl } : c;
+  })
+  : input;
+
+// Webhooks must be https; plain http is allowed for a local stub receiver while testing
+const isWebhookUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:'
+      || (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname));
+  } catch {
+    return false;
+  }
+};
+
+// Validate and normalise a channel list; `owner` prefixes the user-facing messages
+export function validateChannels(input, owner) {
+  if (!Array.isArray(input) || input.length === 0) throw new Error(`${owner} needs at least one channel`);
+
+  const seen = new Set();
+  return input.map(c => {
+    const type = c?.type;
+    if (!DRIVERS[type]) throw new Error(`${owner}: unknown channel "${type}" (allowed: ${NOTIFIER_TYPES.join(', ')})`);
+    if (!DRIVERS[type].webhook) {
+      if (seen.has(type)) throw new Error(`${owner}: ${DRIVERS[type].label} is listed twice`);
+      seen.add(type);
+      return { type };
+    }
+
+    const webhookUrl = String(c.webhookUrl || '').trim();
+    if (webhookUrl.includes(MASK)) throw new Error(`${owner}: re-enter the full ${DRIVERS[type].label} webhook URL`);
+    if (!isWebhookUrl(webhookUrl)) throw new Error(`${owner}: ${DRIVERS[type].label} needs an https webhook URL`);
+    const key = `${type} ${webhookUrl}`;
+    if (seen.has(key)) throw new Error(`${owner}: the same ${DRIVERS[type].label} webhook is listed twice`);
+    seen.add(key);
+    return { type, webhookUrl };
+  });
+}
+
+// Send `message` on every channel; one failing channel doesn't stop the others.
+// `recipients` ({ to, cc }) are only used by email. Returns [{ type, ok, error? }].
+export async function sendNotification(channels, message, recipients = {}) {
+  const results = [];
+  for (const channel of channels) {
+    try {
+      await DRIVERS[channel.type].send(message, recipients, channel);
+      results.push({ type: channel.type, ok: true });
+    } catch (error) {
+      console.error(`${channel.type} notification failed:`, error);
+      results.push({ type: channel.type, ok: false, error: error.message, status: error.status });
+    }
+  }
+  return results;
+}
+
+// One line naming the channels that failed, for route responses
+export const describeFailures = (results) => results
+  .filter(r => !r.ok)
+  .map(r => `${NOTIFIER_LABELS[r.type]}: ${r.error}`)
+  .join('; ');
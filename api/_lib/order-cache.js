@@ -0,0 +1,130 @@
+// Local cache of the paid order backlog (unfulfilled and partially fulfilled)
+// Kept current by Shopify webhooks (api/webhooks/shopify.js) and by the dashboard's own
+// approve/fulfill actions. A full reconcile from Shopify runs whenever the cache is older
+// than the reconcile interval, catching any events that were missed.
+import {
+  deleteHashFields, getHashFieldsJSON, getHashJSON, getJSON, isPersistent, putHashJSON, replaceHashJSON, setJSON
+} from './store.js';
+import { BACKLOG_SEARCH, ORDER_FIELDS, completeLineItems, isBacklogOrder, isTestOrder, normalizeOrder } from './orders.js';
+import { trackApprovals, withApprovalHistory } from './approval-history.js';
+
+const CACHE_KEY = 'order-cache';
+const META_KEY = 'order-cache-meta';
+// Order id → when a webhook or dashboard action last wrote or removed it; a reconcile keeps
+// those newer than its own Shopify read
+const TOUCHED_KEY = 'order-cache-touched';
+
+export const RECONCILE_INTERVAL_MS = (parseInt(process.env.ORDER_CACHE_RECONCILE_MINUTES, 10) || 15) * 60 * 1000;
+
+const ORDERS_QUERY = `
+  query ($cursor: String) {
+    orders(first: 250, after: $cursor, sortKey: CREATED_AT, reverse: true, query: "${BACKLOG_SEARCH}") {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {
+          ${ORDER_FIELDS}
+        }
+      }
+    }
+  }
+`;
+
+const ORDER_QUERY = `
+  query ($id: ID!) {
+    order(id: $id) {
+      ${ORDER_FIELDS}
+      cancelledAt
+      displayFinancialStatus
+    }
+  }
+`;
+
+const touch = (ids) => putHashJSON(TOUCHED_KEY, Object.fromEntries(ids.map(id => [id, new Date().toISOString()])));
+
+// Re-read the whole backlog from Shopify and replace the cache with it. Orders written or
+// removed while the read was running keep their live cache state instead of the older read.
+export async function reconcileOrderCache(shopify) {
+  const startedAt = new Date().toISOString();
+  const { nodes, complete } = await shopify.paginate(ORDERS_QUERY, { connection: 'orders' });
+  const backlog = await completeLineItems(shopify, nodes.filter(node => !isTestOrder(node)));
+  const orders = await trackApprovals(backlog.map(normalizeOrder), 'reconcile');
+
+  // A truncated read would silently drop orders from the cache
+  if (!complete) return orders;
+
+  let touched = {};
+  let late = { put: {}, remove: [] };
+  const lateWrites = async () => {
+    touched = await getHashJSON(TOUCHED_KEY);
+    const ids = Object.keys(touched).filter(id => touched[id] > startedAt);
+    const live = await getHashFieldsJSON(CACHE_KEY, ids);
+    late = {
+      put: Object.fromEntries(ids.filter(id => live[id]).map(id => [id, live[id]])),
+      remove: ids.filter(id => !live[id])
+    };
+    return late;
+  };
+  const entries = Object.fromEntries(orders.map(o => [o.id, o]));
+  await replaceHashJSON(CACHE_KEY, entries, { lateWrites });
+
+  const merged = { ...entries, ...late.put };
+  for (const id of late.remove) delete merged[id];
+  await setJSON(META_KEY, { reconciledAt: new Date().toISOString(), count: Object.keys(merged).length });
+  // Marks from before this read are covered by it now
+  await deleteHashFields(TOUCHED_KEY, Object.keys(touched).filter(id => touched[id] <= startedAt));
+  return Object.values(merged);
+}
+
+// Backlog orders for the dashboard: from the cache while it is fresh, otherwise
+// straight from Shopify (refreshing the cache on the way)
+export async function loadBacklogOrders(shopify, { force = false } = {}) {
+  const meta = await getJSON(META_KEY, null);
+  const age = meta ? Date.now() - new Date(meta.reconciledAt).getTime() : Infinity;
+
+  // Without KV each function instance has its own memory, so webhooks can't keep it current
+  if (force || !isPersistent() || age > RECONCILE_INTERVAL_MS) {
+    const orders = await reconcileOrderCache(shopify);
+    return { orders, source: 'shopify', reconciledAt: new Date().toISOString() };
+  }
+
+  const orders = Object.values(await getHashJSON(CACHE_KEY));
+  return { orders, source: 'cache', reconciledAt: meta.reconciledAt };
+}
+
+// Re-fetch one order and add, update or drop it depending on whether it is still in the backlog
+export async function refreshCachedOrder(shopify, orderId) {
+  const node = (await shopify.request(ORDER_QUERY, { id: orderId }))?.order;
+  if (isBacklogOrder(node)) {
+    await completeLineItems(shopify, [node]);
+    const [order] = await trackApprovals([normalizeOrder(node)], 'webhook');
+    await putHashJSON(CACHE_KEY, { [node.id]: order });
+    await touch([node.id]);
+    return 'upserted';
+  }
+  await deleteHashFields(CACHE_KEY, [orderId]);
+  await touch([orderId]);
+  return 'removed';
+}
+
+export async function removeCachedOrders(orderIds) {
+  await deleteHashFields(CACHE_KEY, orderIds);
+  await touch(orderIds);
+}
+
+// Mirror approve/reject results from api/_lib/approvals.js into the cache. Re-approving an
+// already approved order keeps its original approved_at from the history.
+export async function applyApprovalResults(results) {
+  const changed = results.filter(r => r.ok);
+  const cached = await getHashFieldsJSON(CACHE_KEY, changed.map(r => r.id));
+  const updated = await withApprovalHistory(changed.filter(r => cached[r.id]).map(r => ({
+    ...cached[r.id],
+    approved_to_ship: r.to,
+    approved_at: r.to === true ? r.updated_at : null,
+    approval_updated_at: r.updated_at
+  })));
+  await putHashJSON(CACHE_KEY, Object.fromEntries(updated.map(o => [o.id, o])));
+  await touch(updated.map(o => o.id));
+}
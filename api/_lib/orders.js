@@ -0,0 +1,194 @@
+// Shopify order node → dashboard order shape, shared by the order routes
+
+// Paid orders with anything left to ship. Partially fulfilled orders stay in the backlog
+// until their last item goes out.
+export const BACKLOG_SEARCH = 'financial_status:paid (fulfillment_status:unshipped OR fulfillment_status:partial)';
+
+// Fields normalizeOrder reads, shared by the backlog list query and single-order refetches
+export const ORDER_FIELDS = `
+  id
+  legacyResourceId
+  name
+  createdAt
+  displayFulfillmentStatus
+  fulfillments {
+    createdAt
+    status
+  }
+  totalPriceSet {
+    shopMoney {
+      amount
+      currencyCode
+    }
+  }
+  tags
+  customer {
+    firstName
+    lastName
+    email
+  }
+  shippingAddress {
+    phone
+    address1
+    address2
+    city
+    province
+    provinceCode
+    zip
+    country
+  }
+  lineItems(first: 10) {
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+    edges {
+      node {
+        title
+        quantity
+        unfulfilledQuantity
+        sku
+      }
+    }
+  }
+  metafield(namespace: "custom", key: "approved_to_ship") {
+    value
+    updatedAt
+  }
+  preferredDeliveryMetafield: metafield(namespace: "custom", key: "preferred_delivery") {
+    value
+  }
+  preferredDeliveryDateMetafield: metafield(namespace: "custom", key: "preferred_delivery_data") {
+    value
+  }
+  prescriptionStatusMetafield: metafield(namespace: "custom", key: "prescription_status") {
+    value
+  }
+  discountCodes
+`;
+
+// The rest of an order's line items, for the few orders with more than ORDER_FIELDS loads
+const LINE_ITEMS_QUERY = `
+  query ($id: ID!, $cursor: String) {
+    order(id: $id) {
+      lineItems(first: 100, after: $cursor) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {
+            title
+            quantity
+            unfulfilledQuantity
+            sku
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Page in the line items past the first 10 so pick lists and unit totals cover whole orders
+export async function completeLineItems(shopify, nodes) {
+  for (const node of nodes) {
+    let cursor = node?.lineItems?.pageInfo?.hasNextPage ? node.lineItems.pageInfo.endCursor : null;
+    while (cursor) {
+      const page = (await shopify.request(LINE_ITEMS_QUERY, { id: node.id, cursor }))?.order?.lineItems;
+      if (!page) break;
+      node.lineItems.edges = node.lineItems.edges.concat(page.edges);
+      cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    }
+  }
+  return nodes;
+}
+
+const BACKLOG_FULFILLMENT_STATUSES = ['UNFULFILLED', 'PARTIALLY_FULFILLED'];
+
+// Same population as the BACKLOG_SEARCH list query, for orders fetched one at a time
+export const isBacklogOrder = (node) =>
+  !!node
+  && !node.cancelledAt
+  && BACKLOG_FULFILLMENT_STATUSES.includes(node.displayFulfillmentStatus)
+  && node.displayFinancialStatus === 'PAID'
+  && !isTestOrder(node);
+
+// Metafield booleans come in as true/1/yes, false/0/no or blank.
+// Three states: true, false (explicitly no), null (empty/not set)
+export const parseTriState = (value) => {
+  const val = value?.toLowerCase?.() || '';
+  if (val === 'true' || val === '1' || val === 'yes') return true;
+  if (val === 'false' || val === '0' || val === 'no') return false;
+  return null;
+};
+
+// Orders placed with the Keevtest discount are internal tests
+export const isTestOrder = (node) =>
+  (node.discountCodes || []).some(code => code?.toLowerCase?.().includes('keevtest'));
+
+// Prescriptions on hold are parked, not rejected, so they stay off the Rejected list
+export const isOnHold = (prescriptionStatus) => {
+  const ps = (prescriptionStatus || '').toLowerCase();
+  return ps.includes('on hold') || ps.includes('on_hold');
+};
+
+// An order's shipments, oldest first; cancelled fulfillments don't count
+export const activeFulfillments = (fulfillments) =>
+  (fulfillments || [])
+    .filter(f => f.status !== 'CANCELLED')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+export const shipmentTimes = (fulfillments) => activeFulfillments(fulfillments).map(f => f.createdAt);
+
+// Shopify admin page for an order
+export const adminOrderUrl = (legacyResourceId, storeUrl = process.env.SHOPIFY_STORE_URL) =>
+  legacyResourceId && storeUrl ? `https://${storeUrl}/admin/orders/${legacyResourceId}` : null;
+
+export function normalizeOrder(node) {
+  const metafield = node.metafield;
+  const approvedToShip = parseTriState(metafield?.value);
+  const lineItems = node.lineItems?.edges?.map(e => ({
+    title: e.node.title,
+    quantity: e.node.quantity,
+    unfulfilled_quantity: e.node.unfulfilledQuantity ?? e.node.quantity,
+    sku: e.node.sku || ''
+  })) || [];
+
+  return {
+    id: node.id,
+    name: node.name,
+    created_at: node.createdAt,
+    admin_url: adminOrderUrl(node.legacyResourceId),
+    total_price: node.totalPriceSet?.shopMoney?.amount,
+    currency: node.totalPriceSet?.shopMoney?.currencyCode,
+    // 'unfulfilled' or 'partial' (some items shipped, the rest still to go)
+    fulfillment_state: node.displayFulfillmentStatus === 'PARTIALLY_FULFILLED' ? 'partial' : 'unfulfilled',
+    first_fulfilled_at: shipmentTimes(node.fulfillments)[0] || null,
+    approved_to_ship: approvedToShip,
+    // Metafield time only until api/_lib/approval-history.js supplies the recorded one
+    approved_at: approvedToShip === true ? (metafield?.updatedAt || null) : null,
+    approval_updated_at: metafield?.updatedAt || null,
+    preferred_delivery: parseTriState(node.preferredDeliveryMetafield?.value),
+    preferred_delivery_date: node.preferredDeliveryDateMetafield?.value || null,
+    prescription_status: node.prescriptionStatusMetafield?.value || null,
+    tags: node.tags || [],
+    is_provincial: (node.tags || []).some(t => t.toLowerCase() === 'provincial'),
+    customer: {
+      first_name: node.customer?.firstName,
+      last_name: node.customer?.lastName,
+      email: node.customer?.email
+    },
+    shipping_address: node.shippingAddress ? {
+      phone: node.shippingAddress.phone || '',
+      address1: node.shippingAddress.address1 || '',
+      address2: node.shippingAddress.address2 || '',
+      city: node.shippingAddress.city || '',
+      province: node.shippingAddress.province || '',
+      province_code: node.shippingAddress.provinceCode || '',
+      zip: node.shippingAddress.zip || '',
+    } : null,
+    line_items: lineItems,
+    // Units still to ship, so partial shipments don't count twice in totals
+    item_count: lineItems.reduce((sum, i) => sum + i.unfulfilled_quantity, 0)
+  };
+}
@@ -0,0 +1,66 @@
+// Reporting date ranges (PHT YYYY-MM-DD keys) and their previous equivalent period
+import { addDays, daysBetween } from './dates.js';
+import { isDateKey } from './validators.js';
+
+export const RANGE_PRESETS = ['mtd', 'last_7', 'last_30', 'last_90', 'last_month', 'qtd'];
+
+// Longest range we will paginate Shopify for in one request
+export const MAX_RANGE_DAYS = 366;
+
+// First day of the month `offset` months from the one containing dateKey
+const monthStart = (dateKey, offset = 0) => {
+  const [y, m] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1 + offset, 1)).toISOString().split('T')[0];
+};
+const monthEnd = (dateKey) => addDays(monthStart(dateKey, 1), -1);
+const quarterStart = (dateKey, offset = 0) => {
+  const [y, m] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, Math.floor((m - 1) / 3) * 3 + offset * 3, 1)).toISOString().split('T')[0];
+};
+
+// Same number of days into an earlier period, without running past its end
+const sameOffsetInto = (start, end, offsetDays) => {
+  const candidate = addDays(start, offsetDays);
+  return candidate > end ? end : candidate;
+};
+
+// Turn ?from/?to/?preset into { preset, from, to, previous: { from, to } }.
+// Throws with a user-facing message on bad input.
+export function resolveRange({ from, to, preset } = {}, today) {
+  if (from || to) {
+    if (!isDateKey(from) || !isDateKey(to)) throw new Error('from and to must both be YYYY-MM-DD');
+    if (from > to) throw new Error('from must be on or before to');
+    const length = daysBetween(from, to) + 1;
+    if (length > MAX_RANGE_DAYS) throw new Error(`Ranges are limited to ${MAX_RANGE_DAYS} days`);
+    // Immediately preceding period of the same length
+    return { preset: 'custom', from, to, previous: { from: addDays(from, -length), to: addDays(from, -1) } };
+  }
+
+  const name = preset || 'mtd';
+  switch (name) {
+    case 'mtd': {
+      const start = monthStart(today);
+      const prevStart = monthStart(today, -1);
+      return { preset: name, from: start, to: today, previous: { from: prevStart, to: sameOffsetInto(prevStart, monthEnd(prevStart), daysBetween(start, today)) } };
+    }
+    case 'last_month': {
+      const start = monthStart(today, -1);
+      const prevStart = monthStart(today, -2);
+      return { preset: name, from: start, to: monthEnd(start), previous: { from: prevStart, to: monthEnd(prevStart) } };
+    }
+    case 'qtd': {
+      const start = quarterStart(today);
+      const prevStart = quarterStart(today, -1);
+      return { preset: name, from: start, to: today, previous: { from: prevStart, to: sameOffsetInto(prevStart, addDays(start, -1), daysBetween(start, today)) } };
+    }
+    case 'last_7':
+    case 'last_30':
+    case 'last_90': {
+      const length = parseInt(name.split('_')[1], 10);
+      const start = addDays(today, -(length - 1));
+      return { preset: name, from: start, to: today, previous: { from: addDays(start, -length), to: addDays(start, -1) } };
+    }
+    default:
+      throw new Error(`Unknown preset "${name}". Use one of: ${RANGE_PRESETS.join(', ')}`);
+  }
+}
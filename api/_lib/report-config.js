@@ -0,0 +1,130 @@
+// Stored report configuration: named reports, each with its own recipients, channels, schedule and sections
+// The cron (api/cron.js) runs every SLOT_MINUTES and sends the enabled reports whose
+// schedule matches the current PHT slot; the dashboard's "Send Email" button sends one on demand.
+
+import { PHT_OFFSET_MS, phtDateKey, weekdayOf } from './dates.js';
+import { getHashFieldsJSON, getJSON, putHashJSON, setJSON } from './store.js';
+import { DEFAULT_CHANNELS, maskChannels, unmaskChannels, validateChannels } from './notifiers.js';
+import { TIME_RE, emailList } from './validators.js';
+
+const STORE_KEY = 'report-config';
+const RUNS_KEY = 'report-runs';
+
+// Must match the cron schedule in vercel.json
+export const SLOT_MINUTES = 15;
+
+// Parts of the report email that can be switched off per report
+export const REPORT_SECTIONS = ['summary', 'forecast', 'approved', 'pending', 'attachments'];
+
+// The report the cron and the Send Email button sent before reports were configurable
+export const DEFAULT_REPORTS = [{
+  id: 'daily',
+  name: 'Daily Fulfillment Report',
+  enabled: true,
+  to: ['andrea@andyou.ph', 'karell@andyou.ph', 'raymund@andyou.ph', 'bryan_bumanglag@andyou.ph'],
+  cc: ['wesley@andyou.ph'],
+  channels: DEFAULT_CHANNELS,
+  schedule: { time: '08:00', weekdays: [], workingDaysOnly: false },
+  sections: REPORT_SECTIONS
+}];
+
+// Validate and normalise an edited report list; throws with a user-facing message
+export function validateReports(input) {
+  if (!Array.isArray(input)) throw new Error('Reports must be a list');
+
+  const ids = new Set();
+  return input.map((r, i) => {
+    const name = String(r?.name || '').trim();
+    if (!name) throw new Error(`Report ${i + 1} needs a name`);
+
+    const to = emailList(r.to || [], 'recipients', `Report "${name}": `);
+    const cc = emailList(r.cc || [], 'cc', `Report "${name}": `);
+    const channels = validateChannels(r.channels ?? DEFAULT_CHANNELS, `Report "${name}"`);
+    if (to.length === 0 && channels.some(c => c.type === 'email')) {
+      throw new Error(`Report "${name}" needs at least one email recipient`);
+    }
+
+    const time = r.schedule?.time || '';
+    const match = TIME_RE.exec(time);
+    if (!match) throw new Error(`Report "${name}" has an invalid send time (use HH:MM)`);
+    if (Number(match[2]) % SLOT_MINUTES !== 0) {
+      throw new Error(`Report "${name}": send time must be on a ${SLOT_MINUTES}-minute mark`);
+    }
+
+    const weekdays = r.schedule?.weekdays || [];
+    if (!Array.isArray(weekdays) || weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error(`Report "${name}" has invalid weekdays (0 = Sunday … 6 = Saturday)`);
+    }
+
+    const sections = r.sections || [];
+    if (!Array.isArray(sections) || sections.some(s => !REPORT_SECTIONS.includes(s))) {
+      throw new Error(`Report "${name}" has unknown sections (allowed: ${REPORT_SECTIONS.join(', ')})`);
+    }
+    if (sections.length === 0) throw new Error(`Report "${name}" needs at least one section`);
+
+    let id = String(r.id || '').trim() || name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    while (ids.has(id)) id = `${id}-${i}`;
+    ids.add(id);
+
+    return {
+      id,
+      name,
+      enabled: r.enabled !== false,
+      to,
+      cc,
+      channels,
+      schedule: { time, weekdays: [...new Set(weekdays)].sort(), workingDaysOnly: !!r.schedule?.workingDaysOnly },
+      // Kept in REPORT_SECTIONS order so the email layout doesn't depend on click order
+      sections: REPORT_SECTIONS.filter(s => sections.includes(s))
+    };
+  });
+}
+
+// Reports saved before channels existed go out by email
+export const loadReports = async () =>
+  (await getJSON(STORE_KEY, DEFAULT_REPORTS)).map(r => ({ ...r, channels: r.channels || DEFAULT_CHANNELS }));
+
+export const saveReports = (reports) => setJSON(STORE_KEY, validateReports(reports));
+
+// Reports as the settings page sees them, webhook URLs masked
+export const maskReports = (reports) => reports.map(r => ({ ...r, channels: maskChannels(r.channels) }));
+
+// An edited list with the webhook URLs it sent back masked restored from `stored`, matched by report id
+export const unmaskReports = (input, stored) => Array.isArray(input)
+  ? input.map(r => ({ ...r, channels: unmaskChannels(r?.channels, stored.find(s => s.id === r?.id)?.channels) }))
+  : input;
+
+// PHT date and HH:MM of the schedule slot `now` falls in, e.g. 08:07 → 08:00
+export function reportSlot(now = new Date()) {
+  const pht = new Date(new Date(now).getTime() + PHT_OFFSET_MS);
+  const minutes = Math.floor(pht.getUTCMinutes() / SLOT_MINUTES) * SLOT_MINUTES;
+  const time = `${String(pht.getUTCHours()).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  return { date: phtDateKey(now), time };
+}
+
+// Enabled reports scheduled for the slot `now` falls in
+export function reportsDue(reports, now, calendar) {
+  const { date, time } = reportSlot(now);
+  return reports.filter(r =>
+    r.enabled
+    && r.schedule.time === time
+    && (!r.schedule.weekdays.length || r.schedule.weekdays.includes(weekdayOf(date)))
+    && (!r.schedule.workingDaysOnly || calendar.isWorkingDay(date))
+  );
+}
+
+// Entries of `due` not yet sent in this slot; a repeated cron call must not send twice.
+// Only `id` is read, so the cutoff reminders use this too.
+export async function unsentInSlot(due, now) {
+  const { date, time } = reportSlot(now);
+  const runs = await getHashFieldsJSON(RUNS_KEY, due.map(r => r.id));
+  return due.filter(r => runs[r.id]?.slot !== `${date} ${time}`);
+}
+
+export async function markReportSent(report, now) {
+  const { date, time } = reportSlot(now);
+  await putHashJSON(RUNS_KEY, { [report.id]: { slot: `${date} ${time}`, sent_at: new Date().toISOString() } });
+}
+
+// Last send per report id, for the settings page
+export const loadReportRuns = (reportIds) => getHashFieldsJSON(RUNS_KEY, reportIds);
@@ -0,0 +1,396 @@
+// HTML and plain-text bodies for the report emails (api/_lib/report.js), plus the short digest
+// chat channels post instead (notifiers.js formats it for Slack and Google Chat).
+// The HTML mirrors the dashboard: the four SLA tiles, then the approved and pending tables
+// with wait times. Each report picks which of those sections it includes (report-config.js).
+// The pre-cutoff reminders (cutoff-alerts.js) reuse the same table styling. Everything is
+// inline-styled tables so it survives mail clients; the only <style> rule stacks the tiles on
+// narrow screens.
+import { getEffectiveApprovalDate } from './sla.js';
+import { formatForecast } from './forecast.js';
+
+export const DASHBOARD_URL = 'https://shopify-async-orders.vercel.app';
+
+// Longer lists are cut here; the CSV attachments and the dashboard always carry every order
+const MAX_TABLE_ROWS = 100;
+
+// Same palette as src/theme.js
+const C = {
+  bg: '#FAF9F7',
+  accent: '#AF6E4C',
+  dark: '#101312',
+  gray: '#6B7280',
+  green: '#059669',
+  red: '#DC2626',
+  yellow: '#D97706',
+  beige: '#E8E4DF',
+  cream: '#F5F3F0',
+  blue: '#3B82F6',
+};
+
+const SLA_LABELS = {
+  overdue: { label: 'Overdue', color: C.red, bg: '#FEE2E2' },
+  ship_today: { label: 'Ship Today', color: C.accent, bg: '#FDF2EC' },
+  scheduled: { label: 'Scheduled', color: C.blue, bg: '#DBEAFE' },
+  new: { label: 'New', color: C.yellow, bg: '#FEF3C7' },
+};
+
+// Dashboard order: overdue first, then what has to go out soonest
+const BUCKET_ORDER = ['overdue', 'ship_today', 'new', 'scheduled'];
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const customerName = (o) => `${o.customer?.first_name || ''} ${o.customer?.last_name || ''}`.trim() || 'Guest';
+const orderDate = (o) => new Date(o.created_at).toLocaleDateString('en-PH', { timeZone: 'Asia/Manila' });
+const money = (currency, value) => `${currency} ${Number(value || 0).toLocaleString()}`;
+const itemsLine = (o) => o.line_items?.map(i => `${i.unfulfilled_quantity ?? i.quantity}× ${i.title}`).join(', ') || '';
+
+const hoursSince = (iso, now) => (now - new Date(iso)) / (1000 * 60 * 60);
+
+// Same format and thresholds as the dashboard's "Since Approval" column
+const waitLabel = (hrs) => {
+  if (hrs < 1) return '<1h';
+  if (hrs < 24) return `${Math.floor(hrs)}h`;
+  return `${Math.floor(hrs / 24)}d ${Math.floor(hrs % 24)}h`;
+};
+const waitColor = (hrs) => hrs > 72 ? C.red : hrs > 24 ? C.yellow : C.gray;
+
+// Approved orders wait from approval (or payment, if later); pending ones from when they were placed
+const approvedWait = (o, now) => hoursSince(getEffectiveApprovalDate(o), now);
+const pendingWait = (o, now) => hoursSince(o.created_at, now);
+
+const byUrgency = (orders) => [...orders].sort((a, b) =>
+  BUCKET_ORDER.indexOf(a.sla_bucket) - BUCKET_ORDER.indexOf(b.sla_bucket)
+  || new Date(a.due_at) - new Date(b.due_at));
+
+const slaStatus = (o) => o.sla_bucket === 'overdue' && o.overdue_by != null
+  ? `Overdue by ${o.overdue_by}h`
+  : SLA_LABELS[o.sla_bucket]?.label || '';
+
+// ---- Plain text ----
+
+// `sections` is the Set of REPORT_SECTIONS to include; `attachments` the CSVs being sent
+export function renderReportText(data, { title, dateLabel, sections, attachments }) {
+  const { now, approvedOrders, notApprovedOrders, approved, notApproved, currency, sla, forecast, ordersChecked } = data;
+  const rule = '-'.repeat(30);
+  const more = (total) => total > MAX_TABLE_ROWS
+    ? `   …and ${total - MAX_TABLE_ROWS} more ${attachments.length > 0 ? 'in the attached CSV' : 'on the dashboard'}\n`
+    : '';
+
+  let text = `Hi team! 👋\n\n`;
+  text += `Here's the ${title} for ${dateLabel}.\n\n`;
+
+  if (sections.has('summary')) {
+    text += `Ship Today: ${sla.shipToday} · Overdue: ${sla.overdue} · Scheduled: ${sla.scheduled} · New: ${sla.newOrders}\n`;
+    text += `Ready to ship (approved): ${approved.count} orders · ${money(currency, approved.value)} · ${approved.items} items\n`;
+    text += `Pending approval: ${notApproved.count} orders · ${money(currency, notApproved.value)} · ${notApproved.items} items\n\n`;
+
+    if (sla.overdue > 0) {
+      text += `⚠️ Heads up: ${sla.overdue} approved order(s) missed their shipping window and need attention!\n\n`;
+    }
+  }
+
+  if (sections.has('forecast') && forecast?.tomorrow) {
+    text += `WORKLOAD FORECAST\n${rule}\n`;
+    text += formatForecast(forecast) + `\n`;
+  }
+
+  if (sections.has('approved')) {
+    text += `READY TO SHIP (${approved.count})\n${rule}\n`;
+    if (approved.count === 0) text += `Great news — all approved orders have been fulfilled! 🎉\n`;
+    for (const o of byUrgency(approvedOrders).slice(0, MAX_TABLE_ROWS)) {
+      text += `${o.name} · ${customerName(o)} · ${slaStatus(o)} · ${o.is_provincial ? 'Provincial' : 'Metro'} · waiting ${waitLabel(approvedWait(o, now))}\n`;
+      if (o.line_items?.length) text += `   ${itemsLine(o)}\n`;
+    }
+    text += more(approved.count) + `\n`;
+  }
+
+  if (sections.has('pending')) {
+    text += `PENDING APPROVAL (${notApproved.count})\n${rule}\n`;
+    if (notApproved.count === 0) text += `Nothing waiting on approval.\n`;
+    for (const o of notApprovedOrders.slice(0, MAX_TABLE_ROWS)) {
+      text += `${o.name} · ${customerName(o)} · ${o.prescription_status || 'No prescription status'} · ${money(o.currency, o.total_price)} · waiting ${waitLabel(pendingWait(o, now))}\n`;
+      if (o.line_items?.length) text += `   ${itemsLine(o)}\n`;
+    }
+    text += more(notApproved.count) + `\n`;
+  }
+
+  text += `This report covers all ${approved.count + notApproved.count} pending orders (${ordersChecked} unfulfilled paid orders checked).\n`;
+  if (attachments.length > 0) text += `Full details are in the attached CSVs: ${attachments.map(a => a.filename).join(', ')}\n`;
+  text += `\n`;
+  text += `View dashboard: ${DASHBOARD_URL}\n\n`;
+  text += `— Edwin 🎩`;
+  return text;
+}
+
+// ---- Chat digest ----
+
+// { title, lines, sections: [{ title, items }], link } for the chat notifiers; plain text,
+// each notifier applies its own markup and cuts long sections
+export function renderReportDigest(data, { title, dateLabel, sections }) {
+  const { now, approvedOrders, notApprovedOrders, approved, notApproved, currency, sla, forecast } = data;
+  const lines = [];
+  const digestSections = [];
+
+  if (sections.has('summary')) {
+    lines.push(`Ship Today: ${sla.shipToday} · Overdue: ${sla.overdue} · Scheduled: ${sla.scheduled} · New: ${sla.newOrders}`);
+    lines.push(`Ready to ship: ${approved.count} orders · ${money(currency, approved.value)} · ${approved.items} items`);
+    lines.push(`Pending approval: ${notApproved.count} orders · ${money(currency, notApproved.value)} · ${notApproved.items} items`);
+    if (sla.overdue > 0) lines.push(`⚠️ ${sla.overdue} approved order(s) missed their shipping window`);
+  }
+
+  if (sections.has('forecast') && forecast?.tomorrow) {
+    digestSections.push({ title: 'Workload Forecast', items: formatForecast(forecast).trim().split('\n').map(l => l.replace(/^• /, '')) });
+  }
+
+  if (sections.has('approved')) {
+    digestSections.push({
+      title: `Ready to Ship (${approved.count})`,
+      items: approved.count === 0
+        ? ['All approved orders have been fulfilled 🎉']
+        : byUrgency(approvedOrders).map(o => `${o.name} · ${customerName(o)} · ${slaStatus(o)} · ${o.is_provincial ? 'Provincial' : 'Metro'} · waiting ${waitLabel(approvedWait(o, now))}`)
+    });
+  }
+
+  if (sections.has('pending')) {
+    digestSections.push({
+      title: `Pending Approval (${notApproved.count})`,
+      items: notApproved.count === 0
+        ? ['Nothing waiting on approval']
+        : notApprovedOrders.map(o => `${o.name} · ${customerName(o)} · ${o.prescription_status || 'No prescription status'} · waiting ${waitLabel(pendingWait(o, now))}`)
+    });
+  }
+
+  return { title: `📦 ${title} — ${dateLabel}`, lines, sections: digestSections, link: { url: DASHBOARD_URL, label: 'Open the dashboard' } };
+}
+
+// ---- HTML ----
+
+const th = (label, align = 'left') =>
+  `<th align="${align}" style="padding:8px 10px;font-size:11px;color:${C.gray};font-weight:600;text-align:${align};white-space:nowrap;background:${C.cream};">${label}</th>`;
+const td = (content, style = '') =>
+  `<td style="padding:8px 10px;font-size:13px;color:${C.dark};vertical-align:top;border-top:1px solid ${C.beige};${style}">${content}</td>`;
+
+const badge = ({ label, color, bg }) =>
+  `<span style="display:inline-block;background:${bg};color:${color};padding:2px 8px;border-radius:12px;font-size:11px;font-weight:600;white-space:nowrap;">${escapeHtml(label)}</span>`;
+
+const card = (inner) =>
+  `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#fff;border:1px solid ${C.beige};border-radius:12px;margin-bottom:16px;">
+    <tr><td style="padding:16px 20px;">${inner}</td></tr>
+  </table>`;
+
+const heading = (title, note = '') =>
+  `<div style="font-size:14px;font-weight:600;color:${C.dark};margin-bottom:${note ? 2 : 10}px;">${escapeHtml(title)}</div>`
+  + (note ? `<div style="font-size:11px;color:${C.gray};margin-bottom:10px;">${note}</div>` : '');
+
+const tile = (label, value, activeColor, note) => `
+  <td class="tile" width="25%" valign="top" style="padding:4px;">
+    <div style="background:#fff;border:1px solid ${C.beige};border-radius:12px;padding:14px 16px;">
+      <div style="font-size:12px;color:${C.gray};margin-bottom:4px;">${label}</div>
+      <div style="font-size:24px;font-weight:700;color:${value > 0 ? activeColor : C.green};">${value}</div>
+      <div style="font-size:10px;color:${C.gray};">${note}</div>
+    </div>
+  </td>`;
+
+const itemsCell = (o) => {
+  const items = o.line_items || [];
+  const shown = items.slice(0, 3).map(i => `${i.unfulfilled_quantity ?? i.quantity}× ${escapeHtml(i.title)}`).join('<br>');
+  return items.length > 3 ? `${shown}<br><span style="color:${C.gray};font-size:11px;">+${items.length - 3} more</span>` : shown;
+};
+
+const orderCell = (o) =>
+  `<a href="${escapeHtml(o.admin_url || DASHBOARD_URL)}" style="font-weight:600;color:${C.accent};text-decoration:none;">${escapeHtml(o.name)}</a>`
+  + `<div style="font-size:11px;color:${C.gray};">${orderDate(o)}</div>`
+  + (o.fulfillment_state === 'partial' ? badge({ label: 'Partially fulfilled', color: C.blue, bg: '#DBEAFE' }) : '');
+
+const truncatedNote = (total, hasCsv) => total > MAX_TABLE_ROWS
+  ? `<div style="font-size:11px;color:${C.gray};margin-top:8px;">Showing ${MAX_TABLE_ROWS} of ${total}; ${hasCsv ? 'the attached CSV' : 'the dashboard'} has every order.</div>`
+  : '';
+
+const table = (headers, rows) =>
+  `<div style="overflow-x:auto;"><table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;min-width:480px;">
+    <tr>${headers.join('')}</tr>
+    ${rows.join('\n')}
+  </table></div>`;
+
+function approvedTable(orders, now, hasCsv) {
+  if (orders.length === 0) {
+    return `<div style="font-size:13px;color:${C.green};">Great news — all approved orders have been fulfilled! 🎉</div>`;
+  }
+  const rows = byUrgency(orders).slice(0, MAX_TABLE_ROWS).map(o => {
+    const overdue = o.sla_bucket === 'overdue';
+    const wait = approvedWait(o, now);
+    const sla = SLA_LABELS[o.sla_bucket];
+    return `<tr style="${overdue ? 'background:#FEF2F2;' : ''}">`
+      + td(orderCell(o), overdue ? `border-left:3px solid ${C.red};` : '')
+      + td(escapeHtml(customerName(o)))
+      + td(itemsCell(o))
+      + td(`${o.is_provincial ? 'Provincial' : 'Metro'}${o.cutoff_time ? `<div style="font-size:10px;color:${C.gray};">Cutoff ${escapeHtml(o.cutoff_time)}</div>` : ''}`, 'font-size:12px;')
+      + td(sla ? badge({ ...sla, label: slaStatus(o) }) : '')
+      + td(waitLabel(wait), `text-align:right;font-weight:600;font-size:12px;color:${overdue ? C.red : waitColor(wait)};white-space:nowrap;`)
+      + `</tr>`;
+  });
+  return table([th('Order'), th('Customer'), th('Items'), th('Region'), th('Status'), th('Since Approval', 'right')], rows)
+    + truncatedNote(orders.length, hasCsv);
+}
+
+function pendingTable(orders, now, hasCsv) {
+  if (orders.length === 0) return `<div style="font-size:13px;color:${C.gray};">Nothing waiting on approval.</div>`;
+  const rows = orders.slice(0, MAX_TABLE_ROWS).map(o => {
+    const wait = pendingWait(o, now);
+    return `<tr>`
+      + td(orderCell(o))
+      + td(`${escapeHtml(customerName(o))}<div style="font-size:11px;color:${C.gray};">${escapeHtml(o.customer?.email || '')}</div>`)
+      + td(itemsCell(o))
+      + td(o.prescription_status ? escapeHtml(o.prescription_status) : `<span style="color:${C.gray};">—</span>`, 'font-size:12px;')
+      + td(escapeHtml(money(o.currency, o.total_price)), 'text-align:right;font-weight:600;white-space:nowrap;')
+      + td(waitLabel(wait), `text-align:right;font-weight:600;font-size:12px;color:${waitColor(wait)};white-space:nowrap;`)
+      + `</tr>`;
+  });
+  return table([th('Order'), th('Customer'), th('Items'), th('Prescription Status'), th('Total', 'right'), th('Waiting', 'right')], rows)
+    + truncatedNote(orders.length, hasCsv);
+}
+
+function forecastCard(forecast) {
+  if (!forecast?.tomorrow) return '';
+  const cells = forecast.days.map(d => `
+    <td valign="top" style="padding:4px;">
+      <div style="background:${C.cream};border-radius:8px;padding:8px 10px;">
+        <div style="font-size:11px;color:${C.gray};">${d.weekday.slice(0, 3)} ${d.date.slice(5)}</div>
+        <div style="font-size:18px;font-weight:700;color:${C.dark};">~${d.expected.total}</div>
+        <div style="font-size:10px;color:${C.gray};">${d.expected.metro} M · ${d.expected.provincial} P</div>
+      </div>
+    </td>`).join('');
+  return card(heading('Workload Forecast', `Expected Ship Today volume · typical weekday from the last ${forecast.basis.weeks} weeks`)
+    + `<table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr>${cells}</tr></table>`);
+}
+
+export function renderReportHtml(data, { title, dateLabel, sections, attachments }) {
+  const { now, approvedOrders, notApprovedOrders, approved, notApproved, currency, sla, forecast, ordersChecked } = data;
+  const hasCsv = attachments.length > 0;
+
+  const overdueBanner = sla.overdue > 0
+    ? `<div style="padding:10px 14px;border-radius:8px;margin-bottom:16px;font-size:13px;background:#FEE2E2;color:${C.red};font-weight:600;">
+        ⚠️ ${sla.overdue} approved order${sla.overdue === 1 ? '' : 's'} missed ${sla.overdue === 1 ? 'its' : 'their'} shipping window and need${sla.overdue === 1 ? 's' : ''} attention
+      </div>`
+    : '';
+
+  const summary = `
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin-bottom:12px;">
+          <tr>
+            ${tile('Ship Today', sla.shipToday, C.accent, 'Must go out today')}
+            ${tile('Overdue', sla.overdue, C.red, 'Missed their window')}
+            ${tile('Scheduled', sla.scheduled, C.blue, 'Future delivery dates')}
+            ${tile('New', sla.newOrders, C.yellow, "Approved after today's cutoff")}
+          </tr>
+        </table>
+        ${overdueBanner}`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+  @media (max-width: 600px) {
+    .tile { display: block !important; width: 100% !important; }
+  }
+</style>
+</head>
+<body style="margin:0;padding:0;background:${C.bg};font-family:'DM Sans',Helvetica,Arial,sans-serif;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:${C.bg};">
+  <tr><td align="center" style="padding:24px 12px;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:760px;">
+      <tr><td style="padding:0 4px 16px;">
+        <div style="font-size:20px;font-weight:700;color:${C.accent};">${escapeHtml(title)}</div>
+        <div style="font-size:13px;color:${C.gray};">${escapeHtml(dateLabel)}</div>
+      </td></tr>
+      <tr><td>
+        ${sections.has('summary') ? summary : ''}
+        ${sections.has('forecast') ? forecastCard(forecast) : ''}
+        ${sections.has('approved') ? card(heading(`Ready to Ship (${approved.count})`, `${escapeHtml(money(currency, approved.value))} · ${approved.items} items · overdue first`) + approvedTable(approvedOrders, now, hasCsv)) : ''}
+        ${sections.has('pending') ? card(heading(`Pending Approval (${notApproved.count})`, `${escapeHtml(money(currency, notApproved.value))} · ${notApproved.items} items`) + pendingTable(notApprovedOrders, now, hasCsv)) : ''}
+        <div style="font-size:12px;color:${C.gray};padding:0 4px;line-height:1.6;">
+          Covers all ${approved.count + notApproved.count} pending orders (${ordersChecked} unfulfilled paid orders checked).
+          ${hasCsv ? `Attached: ${attachments.map(a => escapeHtml(a.filename)).join(', ')}.` : ''}<br>
+          <a href="${DASHBOARD_URL}" style="color:${C.accent};font-weight:600;">Open the dashboard</a> · — Edwin 🎩
+        </div>
+      </td></tr>
+    </table>
+  </td></tr>
+</table>
+</body>
+</html>`;
+}
+
+// ---- Pre-cutoff reminder (cutoff-alerts.js) ----
+
+// '12:00' → '12NN', '15:00' → '3PM', '09:30' → '9:30AM'
+export const cutoffLabel = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  if (h === 12 && m === 0) return '12NN';
+  return `${h % 12 || 12}${m ? `:${String(m).padStart(2, '0')}` : ''}${h < 12 ? 'AM' : 'PM'}`;
+};
+
+const alertHeadline = ({ cutoff, regions, orders }, minutesLeft) =>
+  `${orders.length} ${regions.join(' / ')} order${orders.length === 1 ? '' : 's'} still to ship before the ${cutoffLabel(cutoff)} cutoff (${minutesLeft} min left)`;
+
+export function renderCutoffAlertText(check, { minutesLeft }) {
+  let text = `⏰ ${alertHeadline(check, minutesLeft)}\n\n`;
+  for (const o of check.orders) {
+    const status = o.sla_bucket === 'overdue' ? ` · OVERDUE${o.overdue_by != null ? ` by ${o.overdue_by}h` : ''}` : '';
+    text += `${o.name} · ${customerName(o)}${status}\n`;
+    if (o.line_items?.length) text += `   ${itemsLine(o)}\n`;
+  }
+  text += `\nView dashboard: ${DASHBOARD_URL}\n`;
+  return text;
+}
+
+export function renderCutoffAlertHtml(check, { minutesLeft }) {
+  const rows = check.orders.map(o => {
+    const overdue = o.sla_bucket === 'overdue';
+    return `<tr style="${overdue ? 'background:#FEF2F2;' : ''}">`
+      + td(orderCell(o), overdue ? `border-left:3px solid ${C.red};` : '')
+      + td(escapeHtml(customerName(o)))
+      + td(itemsCell(o))
+      + td(badge({ ...SLA_LABELS[o.sla_bucket], label: slaStatus(o) }))
+      + `</tr>`;
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"></head>
+<body style="margin:0;padding:0;background:${C.bg};font-family:'DM Sans',Helvetica,Arial,sans-serif;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:${C.bg};">
+  <tr><td align="center" style="padding:24px 12px;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:640px;">
+      <tr><td>
+        <div style="padding:10px 14px;border-radius:8px;margin-bottom:16px;font-size:14px;background:#FDF2EC;color:${C.accent};font-weight:600;">
+          ⏰ ${escapeHtml(alertHeadline(check, minutesLeft))}
+        </div>
+        ${card(table([th('Order'), th('Customer'), th('Items'), th('Status')], rows))}
+        <div style="font-size:12px;color:${C.gray};padding:0 4px;">
+          <a href="${DASHBOARD_URL}" style="color:${C.accent};font-weight:600;">Open the dashboard</a>
+        </div>
+      </td></tr>
+    </table>
+  </td></tr>
+</table>
+</body>
+</html>`;
+}
+
+export function renderCutoffAlertDigest(check, { minutesLeft }) {
+  return {
+    title: `⏰ ${cutoffLabel(check.cutoff)} cutoff`,
+    lines: [alertHeadline(check, minutesLeft)],
+    sections: [{
+      title: 'Not shipped yet',
+      items: check.orders.map(o => `${o.name} · ${customerName(o)}${o.sla_bucket === 'overdue' ? ` · ${slaStatus(o)}` : ''}`)
+    }],
+    link: { url: DASHBOARD_URL, label: 'Open the dashboard' }
+  };
+}
@@ -0,0 +1,140 @@
+// Fulfillment reports, shared by the scheduled cron and the dashboard's "Send Email" button
+// so both always send the same content, attachments and recipients for a given report.
+// Which reports exist, who gets them, on which channels and what they contain is in
+// report-config.js; the channels themselves are in notifiers.js.
+import { BACKLOG_SEARCH, ORDER_FIELDS, completeLineItems, isOnHold, isTestOrder, normalizeOrder } from './orders.js';
+import { classifyOrders, loadSlaContext, summarizeSla } from './sla.js';
+import { trackApprovals } from './approval-history.js';
+import { loadForecast } from './forecast.js';
+import { renderReportDigest, renderReportHtml, renderReportText } from './report-email.js';
+
+// Safety cap on pagination: 40 pages × 250 = 10,000 unfulfilled orders
+const MAX_PAGES = 40;
+
+const ORDERS_QUERY = `
+  query ($cursor: String) {
+    orders(first: 250, after: $cursor, sortKey: CREATED_AT, reverse: true, query: "${BACKLOG_SEARCH}") {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {
+          ${ORDER_FIELDS}
+        }
+      }
+    }
+  }
+`;
+
+// The backlog did not fit in MAX_PAGES; a partial data set must never go out as the report
+export class IncompleteBacklogError extends Error {
+  constructor(fetched) {
+    super(`Order backlog is larger than ${fetched} orders and could not be fetched completely. Email not sent.`);
+    this.name = 'IncompleteBacklogError';
+    this.status = 502;
+    this.fetched = fetched;
+  }
+}
+
+const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+// Value and units still to ship, so partial shipments don't count twice
+const totalsFor = (orders) => ({
+  count: orders.length,
+  value: orders.reduce((sum, o) => sum + parseFloat(o.total_price || 0), 0),
+  items: orders.reduce((sum, o) => sum + (o.item_count || 0), 0)
+});
+
+// Read the whole backlog and split it the same way as the dashboard: approved orders with
+// their SLA buckets, and rejected ones (on-hold prescriptions are parked, not rejected).
+// `source` labels the approval history entries this read records; `forecast: false` skips
+// the fulfilled-history read when no report being sent shows the forecast.
+export async function loadReportData(shopify, { now = new Date(), source = 'report', forecast: withForecast = true } = {}) {
+  const { nodes, complete, pages } = await shopify.paginate(ORDERS_QUERY, { connection: 'orders', maxPages: MAX_PAGES });
+  if (!complete) {
+    console.error(`Backlog incomplete after ${pages} pages (${nodes.length} orders), report not built`);
+    throw new IncompleteBacklogError(nodes.length);
+  }
+
+  const orders = (await completeLineItems(shopify, nodes.filter(node => !isTestOrder(node)))).map(normalizeOrder);
+
+  // Recorded approval times rather than the metafield's last save; falls back to the
+  // metafield times if the history store is unreachable
+  const tracked = await trackApprovals(orders, source).catch(error => {
+    console.error('Approval history unavailable:', error);
+    return orders;
+  });
+
+  const slaContext = await loadSlaContext();
+  const approvedOrders = classifyOrders(tracked.filter(o => o.approved_to_ship === true), now, slaContext).sort(newestFirst);
+  const notApprovedOrders = tracked.filter(o => o.approved_to_ship === false && !isOnHold(o.prescription_status)).sort(newestFirst);
+  const sla = summarizeSla(approvedOrders, now, slaContext);
+
+  // Staffing forecast for the coming days; the report goes out without it if it fails
+  const forecast = withForecast
+    ? await loadForecast(shopify, { approvedOrders, now, slaContext }).catch(e => { console.error('Forecast failed:', e); return null; })
+    : null;
+
+  return {
+    now,
+    approvedOrders,
+    notApprovedOrders,
+    approved: totalsFor(approvedOrders),
+    notApproved: totalsFor(notApprovedOrders),
+    currency: (approvedOrders[0] || notApprovedOrders[0])?.currency || 'PHP',
+    sla,
+    forecast,
+    ordersChecked: nodes.length,
+    slaContext
+  };
+}
+
+export function generateCSV(orders) {
+  const headers = ['Order Number', 'Date', 'Customer', 'Email', 'Items', 'SKUs', 'Preferred Delivery', 'Delivery Date', 'Approved On', 'Total'];
+  const rows = orders.map(o => [
+    o.name,
+    new Date(o.created_at).toLocaleDateString('en-PH', { timeZone: 'Asia/Manila' }),
+    `${o.customer?.first_name || ''} ${o.customer?.last_name || ''}`.trim() || 'Guest',
+    o.customer?.email || '',
+    o.line_items?.map(i => `${i.quantity}x ${i.title}`).join('; ') || '',
+    o.line_items?.map(i => i.sku).filter(Boolean).join('; ') || '',
+    o.preferred_delivery === true ? 'Yes' : o.preferred_delivery === false ? 'No' : '',
+    o.preferred_delivery_date || '',
+    o.approved_at ? new Date(o.approved_at).toLocaleString('en-PH', { timeZone: 'Asia/Manila' }) : '',
+    `${o.currency} ${parseFloat(o.total_price || 0).toLocaleString()}`
+  ]);
+
+  return [headers, ...rows]
+    .map(r => r.map(c => `"${(c || '').toString().replace(/"/g, '""')}"`).join(','))
+    .join('\n');
+}
+
+// UTF-8 safe base64 for attachment content
+const base64 = (text) => btoa(unescape(encodeURIComponent(text)));
+
+// Subject, HTML body with its plain-text alternative, CSV attachments and the chat digest for
+// one configured report (see report-config.js) from the data loadReportData read
+export function buildReportMessage(data, report) {
+  const { now, approved, notApproved } = data;
+  const sections = new Set(report.sections);
+
+  // PHT date for the heading and the attachment names
+  const dateStr = now.toLocaleDateString('en-CA', { timeZone: 'Asia/Manila' }).replace(/-/g, '');
+  const dateLabel = now.toLocaleDateString('en-PH', {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Manila'
+  });
+  const attachments = sections.has('attachments') ? [
+    { filename: `ATS_${dateStr}.csv`, content: base64(generateCSV(data.approvedOrders)), content_type: 'text/csv' },
+    { filename: `NOT_APPROVED_${dateStr}.csv`, content: base64(generateCSV(data.notApprovedOrders)), content_type: 'text/csv' }
+  ] : [];
+
+  const options = { title: report.name, dateLabel, sections, attachments };
+  return {
+    subject: `📦 ${report.name} — ${approved.count} ready to ship, ${notApproved.count} pending`,
+    text: renderReportText(data, options),
+    html: renderReportHtml(data, options),
+    digest: renderReportDigest(data, options),
+    ...(attachments.length > 0 && { attachments })
+  };
+}
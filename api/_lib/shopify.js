@@ -0,0 +1,210 @@
+// Shared Shopify Admin GraphQL client used by every API route
+// Handles cursor pagination, cost-based throttling, retries with jitter and per-request timeouts.
+// Works in both the Node (req, res) routes and the edge runtime used by the Shopify webhook.
+
+const DEFAULT_API_VERSION = '2024-01';
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+
+// Base error; `status` is the HTTP status a route should answer with
+export class ShopifyError extends Error {
+  constructor(message, { status = 502, cause } = {}) {
+    super(message);
+    this.name = 'ShopifyError';
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Missing SHOPIFY_STORE_URL / SHOPIFY_ACCESS_TOKEN
+export class ShopifyConfigError extends ShopifyError {
+  constructor(message = 'Shopify API not configured. Set SHOPIFY_STORE_URL and SHOPIFY_ACCESS_TOKEN in Vercel.') {
+    super(message, { status: 400 });
+    this.name = 'ShopifyConfigError';
+  }
+}
+
+// Non-2xx response from Shopify that could not be retried away
+export class ShopifyHttpError extends ShopifyError {
+  constructor(responseStatus, body) {
+    // Auth problems are our config, anything else is an upstream failure
+    const status = responseStatus === 401 || responseStatus === 403 ? 400 : 502;
+    super(`Shopify API error: ${responseStatus}`, { status });
+    this.name = 'ShopifyHttpError';
+    this.responseStatus = responseStatus;
+    this.body = body;
+  }
+}
+
+// Still throttled (HTTP 429 or GraphQL THROTTLED) after all retries
+export class ShopifyThrottledError extends ShopifyError {
+  constructor(retryAfterMs) {
+    super('Shopify API rate limit exceeded, try again shortly', { status: 503 });
+    this.name = 'ShopifyThrottledError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// A single request took longer than the configured timeout on every attempt
+export class ShopifyTimeoutError extends ShopifyError {
+  constructor(timeoutMs) {
+    super(`Shopify API did not respond within ${Math.round(timeoutMs / 1000)}s`, { status: 504 });
+    this.name = 'ShopifyTimeoutError';
+  }
+}
+
+// Query-level errors returned in the GraphQL `errors` array
+export class ShopifyGraphQLError extends ShopifyError {
+  constructor(errors) {
+    super(errors?.[0]?.message || 'GraphQL error', { status: 400 });
+    this.name = 'ShopifyGraphQLError';
+    this.errors = errors;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter
+const backoffDelay = (attempt) => {
+  const cap = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(cap / 2 + Math.random() * cap / 2);
+};
+
+const parseRetryAfter = (header) => {
+  if (!header) return null;
+  const seconds = parseFloat(header);
+  return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+};
+
+// How long to wait until the leaky bucket has room for `cost` points again
+const throttleDelay = (throttleStatus, cost) => {
+  if (!throttleStatus || !cost) return 0;
+  const { currentlyAvailable, restoreRate } = throttleStatus;
+  if (currentlyAvailable >= cost || !restoreRate) return 0;
+  return Math.ceil(((cost - currentlyAvailable) / restoreRate) * 1000);
+};
+
+export function createShopifyClient({
+  storeUrl = process.env.SHOPIFY_STORE_URL,
+  accessToken = process.env.SHOPIFY_ACCESS_TOKEN,
+  apiVersion = process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+} = {}) {
+  if (!storeUrl || !accessToken) throw new ShopifyConfigError();
+
+  const graphqlUrl = `https://${storeUrl}/admin/api/${apiVersion}/graphql.json`;
+
+  // Last known bucket state, used to pace consecutive requests
+  let throttleStatus = null;
+  let lastCost = 0;
+
+  const attempt = async (query, variables) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await fetch(graphqlUrl, {
+        method: 'POST',
+        headers: {
+          'X-Shopify-Access-Token': accessToken,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ query, variables }),
+        signal: controller.signal
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  // Run one query/mutation and return its `data`. Pass `retry: false` for mutations that must
+  // not run twice: timeouts, network errors and 5xx are then thrown straight away, since Shopify
+  // may already have applied the first attempt. Throttling is still retried, as a throttled
+  // request never ran.
+  const request = async (query, variables = {}, { retry = true } = {}) => {
+    let lastError = null;
+
+    for (let i = 0; i <= maxRetries; i++) {
+      // Wait for the bucket to refill before spending points we don't have
+      const wait = throttleDelay(throttleStatus, lastCost);
+      if (wait > 0) await sleep(wait);
+
+      let response;
+      try {
+        response = await attempt(query, variables);
+      } catch (err) {
+        lastError = err.name === 'AbortError'
+          ? new ShopifyTimeoutError(timeoutMs)
+          : new ShopifyError(`Shopify API request failed: ${err.message}`, { cause: err });
+        if (!retry) throw lastError;
+        if (i < maxRetries) await sleep(backoffDelay(i));
+        continue;
+      }
+
+      if (response.status === 429 || response.status >= 500) {
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+        lastError = response.status === 429
+          ? new ShopifyThrottledError(retryAfter)
+          : new ShopifyHttpError(response.status, await response.text());
+        if (!retry && response.status !== 429) throw lastError;
+        console.warn(`Shopify ${response.status}, attempt ${i + 1}/${maxRetries + 1}`);
+        if (i < maxRetries) await sleep(retryAfter ?? backoffDelay(i));
+        continue;
+      }
+
+      if (!response.ok) {
+        const body = await response.text();
+        console.error('Shopify GraphQL error:', body);
+        throw new ShopifyHttpError(response.status, body);
+      }
+
+      const data = await response.json();
+      const cost = data.extensions?.cost;
+      if (cost) {
+        throttleStatus = cost.throttleStatus || null;
+        lastCost = cost.actualQueryCost ?? cost.requestedQueryCost ?? 0;
+      }
+
+      if (data.errors?.length) {
+        if (data.errors.some(e => e.extensions?.code === 'THROTTLED')) {
+          const wait = throttleDelay(throttleStatus, cost?.requestedQueryCost);
+          lastError = new ShopifyThrottledError(wait);
+          console.warn(`Shopify THROTTLED, attempt ${i + 1}/${maxRetries + 1}`);
+          if (i < maxRetries) await sleep(wait + backoffDelay(0));
+          continue;
+        }
+        console.error('GraphQL errors:', data.errors);
+        throw new ShopifyGraphQLError(data.errors);
+      }
+
+      return data.data;
+    }
+
+    throw lastError;
+  };
+
+  // Follow a connection's cursor until exhausted and return every node.
+  // The query must accept `$cursor: String` and select `pageInfo { hasNextPage endCursor }`
+  // plus `edges { node { ... } }` on the connection found at `connection` (e.g. 'orders').
+  const paginate = async (query, { connection, variables = {}, maxPages = Infinity } = {}) => {
+    const nodes = [];
+    let cursor = null;
+    let pages = 0;
+    let hasNextPage = true;
+
+    while (hasNextPage && pages < maxPages) {
+      const data = await request(query, { ...variables, cursor });
+      const conn = data?.[connection];
+      nodes.push(...(conn?.edges || []).map(e => e.node));
+      hasNextPage = conn?.pageInfo?.hasNextPage || false;
+      cursor = conn?.pageInfo?.endCursor || null;
+      pages++;
+    }
+
+    return { nodes, complete: !hasNextPage, pages };
+  };
+
+  return { request, paginate, graphqlUrl };
+}
@@ -0,0 +1,110 @@
+// SLA classification shared by /api/orders, the cron email and the manual report
+// Buckets mirror the dashboard tiles: Ship Today (incl. Overdue), Scheduled and New.
+//
+// Rules (all times PHT, only working days from the calendar have a cutoff):
+// - With a preferred delivery date: dispatch day is that date, rolled forward to
+//   the next working day. Past → overdue, today → ship today (overdue once past
+//   today's cutoff), future → scheduled.
+// - Without one: approved before the previous working day's cutoff → overdue,
+//   before today's cutoff → ship today, otherwise → new (due next working day).
+// Cutoff times come from the region rule table (see cutoffs.js); by default
+// 12NN for provincial orders and 3PM for metro.
+
+import { addDays, phtDateKey, phtTime } from './dates.js';
+import { createCalendar, loadCalendar } from './calendar.js';
+import { createCutoffResolver, loadCutoffRules } from './cutoffs.js';
+
+export const SLA_BUCKETS = ['overdue', 'ship_today', 'scheduled', 'new'];
+
+// Calendar + cutoff rules every classification needs
+export const createSlaContext = ({ calendar = createCalendar(), cutoffs = createCutoffResolver() } = {}) =>
+  ({ calendar, cutoffs });
+
+export async function loadSlaContext() {
+  const [calendar, rules] = await Promise.all([loadCalendar(), loadCutoffRules()]);
+  return createSlaContext({ calendar, cutoffs: createCutoffResolver(rules) });
+}
+
+const defaultContext = createSlaContext();
+
+// The later of approval date vs payment date (created_at approximates payment time)
+export const getEffectiveApprovalDate = (order) => {
+  const approvedAt = order.approved_at ? new Date(order.approved_at) : null;
+  const createdAt = new Date(order.created_at);
+  if (approvedAt && approvedAt > createdAt) return order.approved_at;
+  return order.created_at;
+};
+
+// When an approved order has to be out of the door → { dueDay, dueAt }. Depends only on
+// the order, so it also tells whether an already-fulfilled order went out on time.
+export function dueFor(order, { calendar, cutoffs } = defaultContext) {
+  const cutoffFor = (dateKey) => cutoffs.cutoffFor(order, dateKey).at;
+
+  if (order.preferred_delivery_date) {
+    const dueDay = calendar.nextWorkingDay(String(order.preferred_delivery_date).slice(0, 10));
+    // Must be handed over by the dispatch day's cutoff
+    return { dueDay, dueAt: cutoffFor(dueDay) };
+  }
+
+  const ref = new Date(getEffectiveApprovalDate(order));
+  // Due on the first working day whose cutoff comes after approval, until that day ends
+  let dueDay = calendar.nextWorkingDay(phtDateKey(ref));
+  if (ref >= cutoffFor(dueDay)) dueDay = calendar.nextWorkingDay(addDays(dueDay, 1));
+  return { dueDay, dueAt: phtTime(addDays(dueDay, 1)) };
+}
+
+// Classify one approved order → { sla_bucket, due_at, overdue_by, cutoff_rule, cutoff_time, courier }
+// `overdue_by` is hours past `due_at` (null unless overdue); the cutoff fields
+// and courier come from the rule that applies on the due day.
+export function classifyOrder(order, now = new Date(), { calendar, cutoffs } = defaultContext) {
+  const today = phtDateKey(now);
+  const cutoffFor = (dateKey) => cutoffs.cutoffFor(order, dateKey).at;
+  const { dueDay, dueAt } = dueFor(order, { calendar, cutoffs });
+  let bucket;
+
+  if (order.preferred_delivery_date) {
+    if (dueDay < today) bucket = 'overdue';
+    else if (dueDay === today) bucket = now > dueAt ? 'overdue' : 'ship_today';
+    else bucket = 'scheduled';
+  } else {
+    const ref = new Date(getEffectiveApprovalDate(order));
+    if (ref < cutoffFor(calendar.previousWorkingDay(today))) bucket = 'overdue';
+    else if (calendar.isWorkingDay(today) && ref < cutoffFor(today)) bucket = 'ship_today';
+    else bucket = 'new';
+  }
+
+  const overdueBy = bucket === 'overdue'
+    ? parseFloat((Math.max(0, now - dueAt) / (1000 * 60 * 60)).toFixed(1))
+    : null;
+
+  const rule = cutoffs.ruleFor(order, dueDay);
+
+  return {
+    sla_bucket: bucket,
+    due_at: dueAt.toISOString(),
+    overdue_by: overdueBy,
+    cutoff_rule: rule.name,
+    cutoff_time: rule.cutoff,
+    courier: rule.courier || null
+  };
+}
+
+// Attach SLA fields to each order (returns new objects)
+export const classifyOrders = (orders, now = new Date(), context = defaultContext) =>
+  orders.map(o => ({ ...o, ...classifyOrder(o, now, context) }));
+
+// Tile counts from classified orders. Overdue orders are part of Ship Today.
+// Nothing ships on non-working days, so every tile reads zero then.
+export function summarizeSla(orders, now = new Date(), { calendar } = defaultContext) {
+  if (!calendar.isWorkingDay(phtDateKey(now))) {
+    return { shipToday: 0, overdue: 0, scheduled: 0, newOrders: 0, pending: 0 };
+  }
+
+  const count = (bucket) => orders.filter(o => o.sla_bucket === bucket).length;
+  const overdue = count('overdue');
+  const shipToday = count('ship_today') + overdue;
+  const scheduled = count('scheduled');
+  const newOrders = count('new');
+
+  return { shipToday, overdue, scheduled, newOrders, pending: shipToday + scheduled + newOrders };
+}
@@ -0,0 +1,45 @@
+// Daily backlog snapshots, taken by the cron so past backlog size can be charted
+import { getHashJSON, putHashJSON } from './store.js';
+import { phtDateKey } from './dates.js';
+
+const SNAPSHOTS_KEY = 'backlog-snapshots';
+
+const totals = (orders) => ({
+  count: orders.length,
+  value: Math.round(orders.reduce((sum, o) => sum + parseFloat(o.total_price || 0), 0) * 100) / 100,
+  // Units still to ship, same as the dashboard tiles
+  items: orders.reduce((sum, o) => sum + (o.item_count || 0), 0),
+  metro: orders.filter(o => !o.is_provincial).length,
+  provincial: orders.filter(o => o.is_provincial).length
+});
+
+// `approvedOrders` must already be classified (sla_bucket) and `sla` is summarizeSla's result
+export function buildBacklogSnapshot({ approvedOrders, notApprovedOrders, sla, now = new Date() }) {
+  return {
+    date: phtDateKey(now),
+    taken_at: now.toISOString(),
+    currency: (approvedOrders[0] || notApprovedOrders[0])?.currency || 'PHP',
+    approved: {
+      ...totals(approvedOrders),
+      ship_today: sla.shipToday,
+      overdue: sla.overdue,
+      scheduled: sla.scheduled,
+      new: sla.newOrders
+    },
+    notApproved: totals(notApprovedOrders)
+  };
+}
+
+// One snapshot per PHT day; a second run on the same day replaces the first
+export async function saveBacklogSnapshot(snapshot) {
+  await putHashJSON(SNAPSHOTS_KEY, { [snapshot.date]: snapshot });
+  return snapshot;
+}
+
+// Snapshots between two YYYY-MM-DD keys (inclusive), oldest first
+export async function loadBacklogSnapshots({ from = null, to = null } = {}) {
+  const all = Object.values(await getHashJSON(SNAPSHOTS_KEY));
+  return all
+    .filter(s => (!from || s.date >= from) && (!to || s.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
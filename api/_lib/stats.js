@@ -0,0 +1,24 @@
+// Summary statistics for duration samples (hours)
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Linear-interpolated percentile of an ascending list, p in 0..100
+const percentile = (sorted, p) => {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+};
+
+// { mean, p50, p90, max, samples }, all null when there are no samples
+export function describe(values) {
+  if (values.length === 0) return { mean: null, p50: null, p90: null, max: null, samples: 0 };
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    mean: round1(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+    p50: round1(percentile(sorted, 50)),
+    p90: round1(percentile(sorted, 90)),
+    max: round1(sorted[sorted.length - 1]),
+    samples: sorted.length
+  };
+}
@@ -0,0 +1,141 @@
+// Tiny JSON key-value store for dashboard config and history
+// Uses Vercel KV / Upstash Redis over its REST API (KV_REST_API_URL + KV_REST_API_TOKEN).
+// Without those it falls back to process memory, which is fine for local dev
+// but does not survive cold starts.
+
+const KEY_PREFIX = 'async-orders:';
+
+const memory = new Map();
+
+export const isPersistent = () => !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+
+const command = async (...args) => {
+  const response = await fetch(process.env.KV_REST_API_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.KV_REST_API_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(args)
+  });
+
+  if (!response.ok) {
+    throw new Error(`KV error: ${response.status} ${await response.text()}`);
+  }
+
+  const data = await response.json();
+  if (data.error) throw new Error(`KV error: ${data.error}`);
+  return data.result;
+};
+
+export async function getJSON(key, fallback = null) {
+  if (!isPersistent()) {
+    return memory.has(key) ? structuredClone(memory.get(key)) : fallback;
+  }
+  const raw = await command('GET', KEY_PREFIX + key);
+  return raw == null ? fallback : JSON.parse(raw);
+}
+
+export async function setJSON(key, value) {
+  if (!isPersistent()) {
+    memory.set(key, structuredClone(value));
+    return value;
+  }
+  await command('SET', KEY_PREFIX + key, JSON.stringify(value));
+  return value;
+}
+
+// Prepend to a capped list (newest first)
+export async function pushJSON(key, values, maxLength = 5000) {
+  const items = Array.isArray(values) ? values : [values];
+  if (items.length === 0) return;
+  if (!isPersistent()) {
+    const list = memory.get(key) || [];
+    memory.set(key, [...items.slice().reverse().map(v => structuredClone(v)), ...list].slice(0, maxLength));
+    return;
+  }
+  await command('LPUSH', KEY_PREFIX + key, ...items.map(v => JSON.stringify(v)));
+  await command('LTRIM', KEY_PREFIX + key, 0, maxLength - 1);
+}
+
+// Read list entries `start`..`stop` inclusive (newest first)
+export async function rangeJSON(key, start = 0, stop = -1) {
+  if (!isPersistent()) {
+    const list = memory.get(key) || [];
+    return structuredClone(list.slice(start, stop === -1 ? undefined : stop + 1));
+  }
+  const raw = await command('LRANGE', KEY_PREFIX + key, start, stop);
+  return (raw || []).map(r => JSON.parse(r));
+}
+
+// Hash of JSON values keyed by field (e.g. one field per order)
+export async function getHashJSON(key) {
+  if (!isPersistent()) {
+    return structuredClone(memory.get(key) || {});
+  }
+  const raw = await command('HGETALL', KEY_PREFIX + key) || [];
+  const result = {};
+  for (let i = 0; i < raw.length; i += 2) result[raw[i]] = JSON.parse(raw[i + 1]);
+  return result;
+}
+
+export async function getHashFieldsJSON(key, fields) {
+  if (fields.length === 0) return {};
+  if (!isPersistent()) {
+    const hash = memory.get(key) || {};
+    return Object.fromEntries(fields.filter(f => f in hash).map(f => [f, structuredClone(hash[f])]));
+  }
+  const raw = await command('HMGET', KEY_PREFIX + key, ...fields);
+  return Object.fromEntries(fields.map((f, i) => [f, raw[i]]).filter(([, v]) => v != null).map(([f, v]) => [f, JSON.parse(v)]));
+}
+
+export async function putHashJSON(key, entries) {
+  const pairs = Object.entries(entries);
+  if (pairs.length === 0) return;
+  if (!isPersistent()) {
+    memory.set(key, { ...(memory.get(key) || {}), ...structuredClone(entries) });
+    return;
+  }
+  await command('HSET', KEY_PREFIX + key, ...pairs.flatMap(([f, v]) => [f, JSON.stringify(v)]));
+}
+
+export async function deleteHashFields(key, fields) {
+  if (fields.length === 0) return;
+  if (!isPersistent()) {
+    const hash = { ...(memory.get(key) || {}) };
+    for (const f of fields) delete hash[f];
+    memory.set(key, hash);
+    return;
+  }
+  await command('HDEL', KEY_PREFIX + key, ...fields);
+}
+
+// Swap in a whole new hash. Built under a temporary key and renamed so
+// readers never see a half-written hash. `lateWrites`, if given, runs just before the swap and
+// returns { put, remove } for fields written elsewhere while `entries` was being prepared.
+export async function replaceHashJSON(key, entries, { lateWrites } = {}) {
+  if (!isPersistent()) {
+    const { put = {}, remove = [] } = lateWrites ? await lateWrites() : {};
+    const hash = { ...entries, ...put };
+    for (const f of remove) delete hash[f];
+    memory.set(key, structuredClone(hash));
+    return;
+  }
+  const pairs = Object.entries(entries);
+  const tmp = `${KEY_PREFIX}${key}:rebuild:${Date.now()}`;
+  // Keep each HSET comfortably under the REST request size limit
+  for (let i = 0; i < pairs.length; i += 200) {
+    await command('HSET', tmp, ...pairs.slice(i, i + 200).flatMap(([f, v]) => [f, JSON.stringify(v)]));
+  }
+  const { put = {}, remove = [] } = lateWrites ? await lateWrites() : {};
+  const late = Object.entries(put);
+  if (late.length > 0) await command('HSET', tmp, ...late.flatMap(([f, v]) => [f, JSON.stringify(v)]));
+  if (remove.length > 0) await command('HDEL', tmp, ...remove);
+
+  // RENAME needs the temporary key to exist; an empty hash is simply no key
+  if (!await command('EXISTS', tmp)) {
+    await command('DEL', KEY_PREFIX + key);
+    return;
+  }
+  await command('RENAME', tmp, KEY_PREFIX + key);
+}
@@ -0,0 +1,26 @@
+// Input formats shared by the settings validators (calendar, cutoff rules, reports, reminders)
+// and the date-range query params
+import { addDays } from './dates.js';
+
+// HH:MM, 24-hour; groups are hours and minutes
+export const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// YYYY-MM-DD date key
+export const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// A YYYY-MM-DD key for a day that exists: 2026-02-31 would otherwise roll over into March
+export const isDateKey = (value) => DATE_RE.test(value || '')
+  && Number.isFinite(Date.parse(`${value}T00:00:00Z`))
+  && addDays(value, 0) === value;
+
+export const EMAIL_RE = /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/;
+
+// Trimmed, lower-cased, de-duplicated email list; throws with a user-facing message.
+// `prefix` names the setting being edited, e.g. 'Report "Daily": '.
+export const emailList = (value, label, prefix = '') => {
+  if (!Array.isArray(value)) throw new Error(`${prefix}${label} must be a list`);
+  const cleaned = [...new Set(value.map(v => String(v).trim().toLowerCase()).filter(Boolean))];
+  const invalid = cleaned.find(e => !EMAIL_RE.test(e));
+  if (invalid) throw new Error(`${prefix}"${invalid}" is not a valid email address`);
+  return cleaned;
+};
@@ -0,0 +1,136 @@
+// Order-to-approval lead time and the prescription funnel over a date range
+import { createShopifyClient } from './_lib/shopify.js';
+import { loadCalendar } from './_lib/calendar.js';
+import { DAY_MS, addDays, eachDay, phtDateKey, phtTime } from './_lib/dates.js';
+import { resolveRange } from './_lib/ranges.js';
+import { describe } from './_lib/stats.js';
+import { isOnHold, isTestOrder, parseTriState } from './_lib/orders.js';
+import { withApprovalHistory } from './_lib/approval-history.js';
+
+// Orders approved in the range may have been placed up to this long before it
+const LOOKBACK_DAYS = 30;
+
+const ORDERS_QUERY = `
+  query ($cursor: String, $search: String) {
+    orders(first: 250, after: $cursor, sortKey: CREATED_AT, reverse: true, query: $search) {
+      pageInfo { hasNextPage endCursor }
+      edges {
+        node {
+          id
+          createdAt
+          cancelledAt
+          displayFulfillmentStatus
+          metafield(namespace: "custom", key: "approved_to_ship") {
+            value
+            updatedAt
+          }
+          prescriptionStatusMetafield: metafield(namespace: "custom", key: "prescription_status") {
+            value
+          }
+          discountCodes
+        }
+      }
+    }
+  }
+`;
+
+export default async function handler(req, res) {
+  // Same ?preset= / ?from=&to= as /api/metrics
+  let range;
+  try {
+    range = resolveRange(req.query || {}, phtDateKey(new Date()));
+  } catch (rangeError) {
+    return res.status(400).json({ error: rangeError.message });
+  }
+
+  try {
+    const shopify = createShopifyClient();
+    const calendar = await loadCalendar();
+
+    const sinceISO = phtTime(addDays(range.from, -LOOKBACK_DAYS)).toISOString();
+    const untilISO = new Date(phtTime(range.to).getTime() + DAY_MS).toISOString();
+
+    const { nodes } = await shopify.paginate(ORDERS_QUERY, {
+      connection: 'orders',
+      variables: { search: `created_at:>=${sinceISO} created_at:<${untilISO}` }
+    });
+
+    const readOrders = nodes
+      .filter(n => !n.cancelledAt && !isTestOrder(n))
+      .map(n => {
+        const approved = parseTriState(n.metafield?.value);
+        return {
+          id: n.id,
+          created_at: n.createdAt,
+          approved_to_ship: approved,
+          approved_at: approved === true ? (n.metafield?.updatedAt || null) : null,
+          prescription_status: n.prescriptionStatusMetafield?.value || null,
+          fulfilled: n.displayFulfillmentStatus === 'FULFILLED'
+        };
+      });
+
+    // Lead time runs to the recorded approval, not the metafield's last save
+    const orders = await withApprovalHistory(readOrders).catch(error => {
+      console.error('Approval history unavailable:', error);
+      return readOrders;
+    });
+
+    // Lead time, grouped by the PHT day the order was approved
+    const leadPerDay = {};
+    const businessLeadPerDay = {};
+    for (const o of orders) {
+      if (!o.approved_at || new Date(o.approved_at) < new Date(o.created_at)) continue;
+      const dayKey = phtDateKey(o.approved_at);
+      if (dayKey < range.from || dayKey > range.to) continue;
+      if (!leadPerDay[dayKey]) leadPerDay[dayKey] = [];
+      if (!businessLeadPerDay[dayKey]) businessLeadPerDay[dayKey] = [];
+      leadPerDay[dayKey].push((new Date(o.approved_at) - new Date(o.created_at)) / (1000 * 60 * 60));
+      businessLeadPerDay[dayKey].push(calendar.workingHoursBetween(o.created_at, o.approved_at));
+    }
+
+    const days = eachDay(range.from, range.to).map(key => ({
+      date: key,
+      isWorkingDay: calendar.isWorkingDay(key),
+      leadTime: describe(leadPerDay[key] || []),
+      businessLeadTime: describe(businessLeadPerDay[key] || [])
+    }));
+
+    // Funnel over orders placed in the range, on-hold prescriptions included
+    const placed = orders.filter(o => {
+      const key = phtDateKey(o.created_at);
+      return key >= range.from && key <= range.to;
+    });
+
+    const byStatus = new Map();
+    for (const o of placed) {
+      const status = o.prescription_status || '(none)';
+      const row = byStatus.get(status) || { status, onHold: isOnHold(o.prescription_status), count: 0, approved: 0, rejected: 0, pending: 0 };
+      row.count++;
+      if (o.approved_to_ship === true) row.approved++;
+      else if (o.approved_to_ship === false) row.rejected++;
+      else row.pending++;
+      byStatus.set(status, row);
+    }
+
+    res.json({
+      range: { preset: range.preset, from: range.from, to: range.to },
+      days,
+      leadTime: describe(Object.values(leadPerDay).flat()),
+      businessLeadTime: describe(Object.values(businessLeadPerDay).flat()),
+      funnel: {
+        placed: placed.length,
+        reviewed: placed.filter(o => o.approved_to_ship !== null).length,
+        approved: placed.filter(o => o.approved_to_ship === true).length,
+        fulfilled: placed.filter(o => o.approved_to_ship === true && o.fulfilled).length,
+        rejected: placed.filter(o => o.approved_to_ship === false && !isOnHold(o.prescription_status)).length,
+        onHold: placed.filter(o => isOnHold(o.prescription_status)).length
+      },
+      prescriptionStatuses: [...byStatus.values()].sort((a, b) => b.count - a.count),
+      fetchedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Approval metrics error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
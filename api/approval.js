@@ -0,0 +1,62 @@
+// Approve / reject orders by writing custom.approved_to_ship, and read the audit trail
+import { createShopifyClient } from './_lib/shopify.js';
+import { loadApprovalAudit, setApprovalStatus } from './_lib/approvals.js';
+import { applyApprovalResults } from './_lib/order-cache.js';
+import { authenticateAdmin } from './_lib/auth.js';
+
+// Keep a single request well inside the function timeout
+const MAX_ORDERS = 250;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const entries = await loadApprovalAudit({
+        orderId: req.query?.orderId || null,
+        limit: Math.min(parseInt(req.query?.limit, 10) || 200, 1000)
+      });
+      return res.json({ entries });
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // The audit log names whoever the token belongs to, never a name the browser supplies
+    const { user, error: authError } = authenticateAdmin(req);
+    if (authError) return res.status(401).json({ error: authError });
+
+    const { orderIds, approved } = req.body || {};
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+      return res.status(400).json({ error: 'orderIds must be a non-empty list' });
+    }
+    if (orderIds.length > MAX_ORDERS) {
+      return res.status(400).json({ error: `At most ${MAX_ORDERS} orders per request` });
+    }
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ error: 'approved must be true or false' });
+    }
+
+    const shopify = createShopifyClient();
+    const results = await setApprovalStatus(shopify, {
+      orderIds: [...new Set(orderIds)],
+      approved,
+      actor: user
+    });
+
+    // The next reconcile repairs the cache if this write fails
+    await applyApprovalResults(results).catch(e => console.error('Order cache update failed:', e));
+
+    const failed = results.filter(r => !r.ok).length;
+    res.status(failed === results.length ? 502 : 200).json({
+      success: failed === 0,
+      updated: results.length - failed,
+      failed,
+      results
+    });
+
+  } catch (error) {
+    console.error('Approval error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
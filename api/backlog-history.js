@@ -0,0 +1,27 @@
+// Daily backlog snapshots recorded by the cron: size, value and SLA buckets per day
+import { loadBacklogSnapshots } from './_lib/snapshots.js';
+import { addDays, phtDateKey } from './_lib/dates.js';
+import { isDateKey } from './_lib/validators.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // ?from=YYYY-MM-DD&to=YYYY-MM-DD, or ?days=N ending today (default 90)
+  const { from, to, days } = req.query || {};
+  if ((from && !isDateKey(from)) || (to && !isDateKey(to))) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+  }
+
+  try {
+    const end = to || phtDateKey(new Date());
+    const start = from || addDays(end, -(Math.min(parseInt(days, 10) || 90, 730) - 1));
+    const snapshots = await loadBacklogSnapshots({ from: start, to: end });
+    res.json({ from: start, to: end, snapshots });
+  } catch (error) {
+    console.error('Backlog history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,31 @@
+// Read and edit the working-day calendar (weekly rest days + holidays/closures)
+import { loadCalendarConfig, saveCalendarConfig, validateCalendar } from './_lib/calendar.js';
+import { adminAuthError } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return res.json(await loadCalendarConfig());
+    }
+
+    if (req.method === 'PUT') {
+      // Closures and rest days move every SLA deadline
+      const authError = adminAuthError(req);
+      if (authError) return res.status(401).json({ error: authError });
+
+      let config;
+      try {
+        config = validateCalendar(req.body);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      return res.json(await saveCalendarConfig(config));
+    }
+
+    res.setHeader('Allow', 'GET, PUT');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Calendar error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,34 @@
+// Read and edit the pre-cutoff reminder settings (lead time and recipients)
+import {
+  DEFAULT_ALERT_SETTINGS, loadAlertSettings, maskAlertSettings, saveAlertSettings, unmaskAlertSettings, validateAlertSettings
+} from './_lib/cutoff-alerts.js';
+import { adminAuthError } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return res.json({ settings: maskAlertSettings(await loadAlertSettings()), defaults: DEFAULT_ALERT_SETTINGS });
+    }
+
+    if (req.method === 'PUT') {
+      // Recipients and channels decide who receives customer data
+      const authError = adminAuthError(req);
+      if (authError) return res.status(401).json({ error: authError });
+
+      const stored = await loadAlertSettings();
+      let settings;
+      try {
+        settings = validateAlertSettings(unmaskAlertSettings(req.body?.settings, stored));
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      return res.json({ settings: maskAlertSettings(await saveAlertSettings(settings)), defaults: DEFAULT_ALERT_SETTINGS });
+    }
+
+    res.setHeader('Allow', 'GET, PUT');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Cutoff alerts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,31 @@
+// Read and edit the courier cutoff rule table (region × weekday → cutoff time)
+import { DEFAULT_CUTOFF_RULES, loadCutoffRules, saveCutoffRules, validateCutoffRules } from './_lib/cutoffs.js';
+import { adminAuthError } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return res.json({ rules: await loadCutoffRules(), defaults: DEFAULT_CUTOFF_RULES });
+    }
+
+    if (req.method === 'PUT') {
+      // Cutoff times decide which orders count as late
+      const authError = adminAuthError(req);
+      if (authError) return res.status(401).json({ error: authError });
+
+      let rules;
+      try {
+        rules = validateCutoffRules(req.body?.rules);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      return res.json({ rules: await saveCutoffRules(rules), defaults: DEFAULT_CUTOFF_RULES });
+    }
+
+    res.setHeader('Allow', 'GET, PUT');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Cutoff rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,31 @@
+// Expected Ship Today volume for the next working day and the rest of its week
+import { createShopifyClient } from './_lib/shopify.js';
+import { loadSlaContext } from './_lib/sla.js';
+import { loadBacklogOrders } from './_lib/order-cache.js';
+import { loadForecast } from './_lib/forecast.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const shopify = createShopifyClient();
+    const now = new Date();
+    const slaContext = await loadSlaContext();
+    const { orders } = await loadBacklogOrders(shopify);
+
+    const forecast = await loadForecast(shopify, {
+      approvedOrders: orders.filter(o => o.approved_to_ship === true),
+      now,
+      slaContext
+    });
+
+    res.json({ ...forecast, fetchedAt: now.toISOString() });
+
+  } catch (error) {
+    console.error('Forecast error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,58 @@
+// Create fulfillments with tracking numbers for a batch of approved orders
+import { createShopifyClient } from './_lib/shopify.js';
+import { createFulfillments } from './_lib/fulfillments.js';
+import { removeCachedOrders } from './_lib/order-cache.js';
+import { adminAuthError } from './_lib/auth.js';
+
+// Each order takes two Shopify calls; keep a batch inside the function timeout
+const MAX_ORDERS = 100;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Fulfilling ships the order and emails the customer
+  const authError = adminAuthError(req);
+  if (authError) return res.status(401).json({ error: authError });
+
+  const { items, notifyCustomer = true } = req.body || {};
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'items must be a non-empty list' });
+  }
+  if (items.length > MAX_ORDERS) {
+    return res.status(400).json({ error: `At most ${MAX_ORDERS} orders per request` });
+  }
+
+  const cleaned = items.map(i => ({
+    orderId: String(i?.orderId || '').trim(),
+    trackingNumber: String(i?.trackingNumber || '').trim(),
+    company: String(i?.company || '').trim()
+  }));
+  const missing = cleaned.filter(i => !i.orderId || !i.trackingNumber);
+  if (missing.length > 0) {
+    return res.status(400).json({ error: `Every order needs a tracking number (${missing.length} missing)` });
+  }
+
+  try {
+    const shopify = createShopifyClient();
+    const results = await createFulfillments(shopify, cleaned, { notifyCustomer: notifyCustomer !== false });
+
+    // Don't wait for the orders/fulfilled webhook to drop them from the backlog
+    await removeCachedOrders(results.filter(r => r.ok).map(r => r.id))
+      .catch(e => console.error('Order cache update failed:', e));
+
+    const failed = results.filter(r => !r.ok).length;
+    res.status(failed === results.length ? 502 : 200).json({
+      success: failed === 0,
+      fulfilled: results.length - failed,
+      failed,
+      results
+    });
+
+  } catch (error) {
+    console.error('Fulfill error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
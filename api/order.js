@@ -0,0 +1,165 @@
+// Fetch one order in full for the dashboard detail drawer: every line item,
+// address/contact, tags, custom metafields, SLA status and Shopify admin link
+import { createShopifyClient } from './_lib/shopify.js';
+import { classifyOrder, loadSlaContext } from './_lib/sla.js';
+import { normalizeOrder } from './_lib/orders.js';
+import { loadApprovalHistory, withApprovalHistory } from './_lib/approval-history.js';
+
+const ORDER_QUERY = `
+  query ($id: ID!, $cursor: String) {
+    order(id: $id) {
+      id
+      legacyResourceId
+      name
+      createdAt
+      note
+      email
+      phone
+      displayFinancialStatus
+      displayFulfillmentStatus
+      fulfillments {
+        createdAt
+        status
+      }
+      totalPriceSet {
+        shopMoney {
+          amount
+          currencyCode
+        }
+      }
+      tags
+      customer {
+        firstName
+        lastName
+        email
+        phone
+      }
+      shippingAddress {
+        name
+        company
+        phone
+        address1
+        address2
+        city
+        province
+        provinceCode
+        zip
+        country
+      }
+      lineItems(first: 100, after: $cursor) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {
+            title
+            variantTitle
+            quantity
+            unfulfilledQuantity
+            sku
+            originalUnitPriceSet {
+              shopMoney {
+                amount
+              }
+            }
+          }
+        }
+      }
+      metafield(namespace: "custom", key: "approved_to_ship") {
+        value
+        updatedAt
+      }
+      preferredDeliveryMetafield: metafield(namespace: "custom", key: "preferred_delivery") {
+        value
+        updatedAt
+      }
+      preferredDeliveryDateMetafield: metafield(namespace: "custom", key: "preferred_delivery_data") {
+        value
+        updatedAt
+      }
+      prescriptionStatusMetafield: metafield(namespace: "custom", key: "prescription_status") {
+        value
+        updatedAt
+      }
+    }
+  }
+`;
+
+// Accept either a full GID or the numeric id from the admin URL
+const toOrderGid = (id) => /^\d+$/.test(id) ? `gid://shopify/Order/${id}` : id;
+
+export default async function handler(req, res) {
+  const id = req.query?.id;
+  if (!id) {
+    return res.status(400).json({ error: 'Missing order id' });
+  }
+
+  try {
+    const shopify = createShopifyClient();
+
+    // Line items are paged separately so large orders come back complete
+    let order = null;
+    let lineItemEdges = [];
+    let cursor = null;
+    do {
+      const data = await shopify.request(ORDER_QUERY, { id: toOrderGid(id), cursor });
+      if (!data?.order) {
+        return res.status(404).json({ error: `Order ${id} not found` });
+      }
+      order = data.order;
+      lineItemEdges = lineItemEdges.concat(order.lineItems.edges);
+      cursor = order.lineItems.pageInfo.hasNextPage ? order.lineItems.pageInfo.endCursor : null;
+    } while (cursor);
+
+    const normalized = normalizeOrder({ ...order, lineItems: { edges: lineItemEdges } });
+    const approvalHistory = await loadApprovalHistory([normalized.id]);
+    const [base] = await withApprovalHistory([normalized], approvalHistory);
+    const addr = order.shippingAddress;
+
+    const detail = {
+      ...base,
+      note: order.note || '',
+      financial_status: order.displayFinancialStatus,
+      fulfillment_status: order.displayFulfillmentStatus,
+      contact: {
+        email: order.email || order.customer?.email || '',
+        phone: order.phone || order.customer?.phone || addr?.phone || ''
+      },
+      shipping_address: addr ? {
+        ...base.shipping_address,
+        name: addr.name || '',
+        company: addr.company || '',
+        country: addr.country || ''
+      } : null,
+      line_items: lineItemEdges.map(e => ({
+        title: e.node.title,
+        variant_title: e.node.variantTitle || '',
+        quantity: e.node.quantity,
+        unfulfilled_quantity: e.node.unfulfilledQuantity ?? e.node.quantity,
+        sku: e.node.sku || '',
+        unit_price: e.node.originalUnitPriceSet?.shopMoney?.amount || null
+      })),
+      // Recorded approved_to_ship transitions, oldest first
+      approval_history: approvalHistory[base.id]?.events || [],
+      // Raw custom metafields as stored in Shopify
+      metafields: [
+        { key: 'approved_to_ship', ...order.metafield },
+        { key: 'preferred_delivery', ...order.preferredDeliveryMetafield },
+        { key: 'preferred_delivery_data', ...order.preferredDeliveryDateMetafield },
+        { key: 'prescription_status', ...order.prescriptionStatusMetafield },
+      ].map(m => ({ key: m.key, value: m.value ?? null, updated_at: m.updatedAt || null }))
+    };
+
+    // Only approved orders have a shipping deadline
+    if (detail.approved_to_ship === true) {
+      Object.assign(detail, classifyOrder(detail, new Date(), await loadSlaContext()));
+    }
+
+    res.json({ order: detail, fetchedAt: new Date().toISOString() });
+
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,44 @@
+// Read and edit the report configuration (named reports with recipients, schedule and sections)
+import {
+  DEFAULT_REPORTS, REPORT_SECTIONS, SLOT_MINUTES, loadReportRuns, loadReports, maskReports, saveReports, unmaskReports,
+  validateReports
+} from './_lib/report-config.js';
+import { adminAuthError } from './_lib/auth.js';
+
+// Webhook URLs are credentials; only their masked form leaves the server
+const withMeta = async (reports) => ({
+  reports: maskReports(reports),
+  defaults: DEFAULT_REPORTS,
+  sections: REPORT_SECTIONS,
+  slotMinutes: SLOT_MINUTES,
+  runs: await loadReportRuns(reports.map(r => r.id))
+});
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return res.json(await withMeta(await loadReports()));
+    }
+
+    if (req.method === 'PUT') {
+      // Recipients and channels decide who receives customer data
+      const authError = adminAuthError(req);
+      if (authError) return res.status(401).json({ error: authError });
+
+      const stored = await loadReports();
+      let reports;
+      try {
+        reports = validateReports(unmaskReports(req.body?.reports, stored));
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      return res.json(await withMeta(await saveReports(reports)));
+    }
+
+    res.setHeader('Allow', 'GET, PUT');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Reports error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
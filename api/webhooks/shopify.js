@@ -0,0 +1,83 @@
+// Shopify order webhooks → local order cache
+// Subscribe orders/create, orders/updated, orders/partially_fulfilled, orders/fulfilled and
+// orders/cancelled to https://<deployment>/api/webhooks/shopify. Edge runtime so the raw
+// body is available for HMAC verification.
+
+import { createShopifyClient } from '../_lib/shopify.js';
+import { refreshCachedOrder, removeCachedOrders } from '../_lib/order-cache.js';
+
+export const config = {
+  runtime: 'edge',
+};
+
+const TOPICS = ['orders/create', 'orders/updated', 'orders/partially_fulfilled', 'orders/fulfilled', 'orders/cancelled'];
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// X-Shopify-Hmac-Sha256 is the base64 HMAC-SHA256 of the raw body, keyed with the app's secret
+async function verifyHmac(rawBody, signature, secret) {
+  if (!signature) return false;
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const digest = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(rawBody)));
+  const expected = btoa(String.fromCharCode(...digest));
+
+  // Constant-time compare
+  if (expected.length !== signature.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  return diff === 0;
+}
+
+export default async function handler(req) {
+  if (req.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: { 'Allow': 'POST' } });
+  }
+
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+  if (!secret) {
+    return json({ error: 'Webhook secret not configured. Set SHOPIFY_WEBHOOK_SECRET in Vercel.' }, 500);
+  }
+
+  const rawBody = await req.text();
+  if (!await verifyHmac(rawBody, req.headers.get('x-shopify-hmac-sha256'), secret)) {
+    return json({ error: 'Invalid signature' }, 401);
+  }
+
+  const topic = req.headers.get('x-shopify-topic');
+  if (!TOPICS.includes(topic)) {
+    // Acknowledge so Shopify doesn't keep retrying topics we don't use
+    return json({ ignored: topic });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    return json({ error: 'Invalid JSON' }, 400);
+  }
+  const orderId = payload.admin_graphql_api_id || (payload.id && `gid://shopify/Order/${payload.id}`);
+  if (!orderId) return json({ error: 'Missing order id' }, 400);
+
+  try {
+    let action;
+    if (topic === 'orders/fulfilled' || topic === 'orders/cancelled') {
+      await removeCachedOrders([orderId]);
+      action = 'removed';
+    } else {
+      // Re-read rather than trusting the payload: deliveries can arrive out of order,
+      // and the REST payload doesn't carry the metafields the dashboard needs
+      action = await refreshCachedOrder(createShopifyClient(), orderId);
+    }
+    return json({ topic, order: orderId, action });
+
+  } catch (error) {
+    // Non-2xx makes Shopify retry the delivery
+    console.error(`Webhook ${topic} failed for ${orderId}:`, error);
+    return json({ error: error.message }, error.status || 500);
+  }
+}
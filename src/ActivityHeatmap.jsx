@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { C } from './theme.js';
+
+// Rows start on Monday; the API indexes weekdays from Sunday
+const WEEKDAYS = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+const SERIES = [
+  { key: 'approvals', label: 'Approvals', color: [5, 150, 105] },
+  { key: 'fulfillments', label: 'Fulfillments', color: [175, 110, 76] },
+];
+
+const hourLabel = (h) => h === 0 ? '12a' : h === 12 ? '12p' : h < 12 ? `${h}a` : `${h - 12}p`;
+
+// When orders get approved and shipped, by PHT weekday × hour over the metrics range.
+// The hour each cutoff falls in is outlined so bunching right after 12NN/3PM stands out.
+export default function ActivityHeatmap({ heatmap }) {
+  const [series, setSeries] = useState('approvals');
+  if (!heatmap) return null;
+
+  const active = SERIES.find(s => s.key === series);
+  const grid = heatmap[series];
+  const max = Math.max(0, ...grid.flat());
+  const total = grid.flat().reduce((sum, n) => sum + n, 0);
+  const cutoffHours = new Set((heatmap.cutoffs || []).map(t => Number(t.split(':')[0])));
+  const cellColor = (n) => n === 0 ? C.cream : `rgba(${active.color.join(',')}, ${0.15 + 0.85 * (n / max)})`;
+
+  return (
+    <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}`, marginBottom: 20 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 4 }}>
+        <div style={{ fontSize: 14, fontWeight: 600, color: C.dark }}>Activity by Weekday & Hour</div>
+        <div style={{ display: 'flex', gap: 6 }}>
+          {SERIES.map(s => (
+            <button key={s.key} onClick={() => setSeries(s.key)}
+              style={{
+                padding: '4px 12px', borderRadius: 16, fontSize: 11, fontWeight: 600, cursor: 'pointer',
+                border: series === s.key ? `2px solid ${C.accent}` : `1px solid ${C.beige}`,
+                background: series === s.key ? '#FDF2EC' : '#fff',
+                color: series === s.key ? C.accent : C.gray
+              }}>
+              {s.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div style={{ fontSize: 11, color: C.gray, marginBottom: 12 }}>
+        {total} {active.label.toLowerCase()} over the selected range · PHT · Outlined columns start at a cutoff
+        {series === 'approvals' && ' · Approvals of orders that have since shipped'}
+      </div>
+      {total > 0 ? (
+        <div style={{ overflowX: 'auto' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: '36px repeat(24, minmax(22px, 1fr))', gap: 2, minWidth: 600 }}>
+            <div />
+            {HOURS.map(h => (
+              <div key={h} style={{ fontSize: 9, color: cutoffHours.has(h) ? C.accent : C.gray, fontWeight: cutoffHours.has(h) ? 700 : 400, textAlign: 'center' }}>
+                {hourLabel(h)}
+              </div>
+            ))}
+            {WEEKDAYS.map(([weekday, label]) => (
+              <React.Fragment key={weekday}>
+                <div style={{ fontSize: 11, color: C.gray, display: 'flex', alignItems: 'center' }}>{label}</div>
+                {HOURS.map(h => {
+                  const n = grid[weekday][h];
+                  return (
+                    <div key={h} title={`${label} ${hourLabel(h)}: ${n} ${active.label.toLowerCase()}`}
+                      style={{
+                        height: 22, borderRadius: 3, background: cellColor(n),
+                        outline: cutoffHours.has(h) ? `1px solid ${C.accent}` : 'none',
+                        fontSize: 9, color: n / max > 0.5 ? '#fff' : C.dark,
+                        display: 'flex', alignItems: 'center', justifyContent: 'center'
+                      }}>
+                      {n > 0 ? n : ''}
+                    </div>
+                  );
+                })}
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div style={{ fontSize: 13, color: C.gray }}>No {active.label.toLowerCase()} in this range</div>
+      )}
+    </div>
+  );
+}
@@ -1,24 +1,67 @@
 import React, { useState, useEffect } from 'react';
 import ReactDOM from 'react-dom/client';
-import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend } from 'recharts';
-
-const C = {
-  bg: "#FAF9F7",
-  accent: "#AF6E4C",
-  dark: "#101312",
-  gray: "#6B7280",
-  green: "#059669",
-  red: "#DC2626",
-  yellow: "#D97706",
-  beige: "#E8E4DF",
-  cream: "#F5F3F0",
-  blue: "#3B82F6",
+import { LineChart, Line, ComposedChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Legend } from 'recharts';
+import { C, thStyle, tdStyle, inputStyle, pill } from './theme.js';
+import CalendarSettings from './CalendarSettings.jsx';
+import CutoffRulesSettings from './CutoffRulesSettings.jsx';
+import ReportSettings from './ReportSettings.jsx';
+import CutoffAlertSettings from './CutoffAlertSettings.jsx';
+import OrderDrawer from './OrderDrawer.jsx';
+import FulfillDialog from './FulfillDialog.jsx';
+import BacklogHistoryChart from './BacklogHistoryChart.jsx';
+import ApprovalMetrics from './ApprovalMetrics.jsx';
+import PickList from './PickList.jsx';
+import CourierPerformance from './CourierPerformance.jsx';
+import WorkloadForecast from './WorkloadForecast.jsx';
+import ActivityHeatmap from './ActivityHeatmap.jsx';
+import { adminHeaders, forgetAdminToken } from './adminToken.js';
+
+const RANGE_PRESETS = [
+  { key: 'mtd', label: 'MTD' },
+  { key: 'last_7', label: '7d' },
+  { key: 'last_30', label: '30d' },
+  { key: 'last_90', label: '90d' },
+  { key: 'last_month', label: 'Last month' },
+  { key: 'qtd', label: 'QTD' },
+];
+
+// Share of fulfillments that should go out within their SLA window
+const COMPLIANCE_TARGET = 95;
+
+const SHIP_STATS = [
+  { key: 'mean', label: 'Mean' },
+  { key: 'p50', label: 'P50' },
+  { key: 'p90', label: 'P90' },
+  { key: 'max', label: 'Max' },
+];
+
+// Ship time measured on the wall clock, or only inside warehouse hours on working days.
+// first/complete name the metrics field for time to first shipment and to completion.
+const SHIP_CLOCKS = [
+  { key: 'wall', label: 'Wall clock', first: 'shipTime', complete: 'completeTime' },
+  { key: 'business', label: 'Business hours', first: 'businessShipTime', complete: 'businessCompleteTime' },
+];
+
+// Split shipments make the first shipment and the complete order two different milestones
+const SHIP_MILESTONES = [
+  { key: 'first', label: 'First shipment' },
+  { key: 'complete', label: 'Complete' },
+];
+
+// Mean daily volume over working days, as shown in the chart header
+const periodAverages = (days = []) => {
+  const working = days.filter(d => d.isWorkingDay);
+  return {
+    metro: working.length > 0 ? working.reduce((sum, d) => sum + (d.metro || 0), 0) / working.length : 0,
+    provincial: working.length > 0 ? working.reduce((sum, d) => sum + (d.provincial || 0), 0) / working.length : 0,
+  };
 };
 
 function App() {
   const [approvedOrders, setApprovedOrders] = useState([]);
   const [notApprovedOrders, setNotApprovedOrders] = useState([]);
   const [approvedSummary, setApprovedSummary] = useState(null);
+  const [approvedSla, setApprovedSla] = useState(null);
   const [notApprovedSummary, setNotApprovedSummary] = useState(null);
   const [loading, setLoading] = useState(false);
   const [sending, setSending] = useState(false);
@@ -28,7 +71,21 @@ function App() {
   const [activeTab, setActiveTab] = useState('approved');
   const [metrics, setMetrics] = useState(null);
   const [metricsLoading, setMetricsLoading] = useState(false);
-  const [deliveryFilter, setDeliveryFilter] = useState('all'); // 'all' | 'with_date' | 'without_date' | 'overdue'
+  const [metricsRange, setMetricsRange] = useState({ preset: 'mtd' }); // or { from, to }
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
+  const [showComparison, setShowComparison] = useState(true);
+  const [courierFilter, setCourierFilter] = useState(null); // tracking company the charts are narrowed to
+  const [shipStat, setShipStat] = useState('mean');
+  const [shipClock, setShipClock] = useState('wall');
+  const [shipMilestone, setShipMilestone] = useState('first');
+  const [deliveryFilter, setDeliveryFilter] = useState('all'); // 'all' | 'with_date' | 'without_date' | 'overdue' | 'partial'
+  const [today, setToday] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [selectedOrder, setSelectedOrder] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(new Set()); // bulk approve/reject selection
+  const [updatingIds, setUpdatingIds] = useState(new Set());
+  const [fulfilling, setFulfilling] = useState(null); // orders open in the fulfill dialog
+  const [showPickList, setShowPickList] = useState(false);
 
   useEffect(() => {
     fetch('/api/status')
@@ -43,9 +100,12 @@ function App() {
       .catch(() => setConfigured(false));
   }, []);
 
-  const fetchOrders = async () => {
-    setLoading(true);
-    setMessage(null);
+  // `quiet` refreshes in the background without touching the banner/spinner
+  const fetchOrders = async ({ quiet = false } = {}) => {
+    if (!quiet) {
+      setLoading(true);
+      setMessage(null);
+    }
     try {
       const res = await fetch('/api/orders');
       const data = await res.json();
@@ -54,29 +114,116 @@ function App() {
       } else {
         setApprovedOrders(data.approved?.orders || []);
         setApprovedSummary(data.approved?.summary);
+        setApprovedSla(data.approved?.sla || null);
         setNotApprovedOrders(data.notApproved?.orders || []);
         setNotApprovedSummary(data.notApproved?.summary);
+        setToday(data.today || null);
         setLastFetch(new Date().toLocaleString());
         const ac = data.approved?.summary?.count || 0;
         const nc = data.notApproved?.summary?.count || 0;
-        setMessage({ type: 'success', text: `Found ${ac} approved, ${nc} not approved` });
+        if (!quiet) setMessage({ type: 'success', text: `Found ${ac} approved, ${nc} not approved` });
       }
     } catch (e) {
       setMessage({ type: 'error', text: e.message });
     }
-    setLoading(false);
+    if (!quiet) setLoading(false);
   };
 
-  const fetchMetrics = async () => {
+  // Approve or reject orders via the approved_to_ship metafield, moving them
+  // between tabs optimistically and rolling back any that fail
+  const setApproval = async (targets, approved) => {
+    if (targets.length === 0) return;
+    const verb = approved ? 'Approve' : 'Reject';
+    if (targets.length > 1 && !window.confirm(`${verb} ${targets.length} orders? This updates approved_to_ship in Shopify.`)) return;
+    const auth = adminHeaders();
+    if (!auth.Authorization) return;
+
+    const prevApproved = approvedOrders;
+    const prevNotApproved = notApprovedOrders;
+    const move = (ids) => {
+      const moving = [...prevApproved, ...prevNotApproved].filter(o => ids.has(o.id));
+      const moved = moving.map(o => approved
+        ? { ...o, approved_to_ship: true, approved_at: new Date().toISOString() }
+        : { ...o, approved_to_ship: false, approved_at: null, sla_bucket: undefined, due_at: undefined, overdue_by: undefined });
+      setApprovedOrders(approved ? [...moved, ...prevApproved.filter(o => !ids.has(o.id))] : prevApproved.filter(o => !ids.has(o.id)));
+      setNotApprovedOrders(approved ? prevNotApproved.filter(o => !ids.has(o.id)) : [...moved, ...prevNotApproved.filter(o => !ids.has(o.id))]);
+    };
+
+    const ids = targets.map(o => o.id);
+    move(new Set(ids));
+    setSelectedIds(new Set());
+    setUpdatingIds(new Set(ids));
+    setMessage(null);
+
+    try {
+      const res = await fetch('/api/approval', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...auth },
+        body: JSON.stringify({ orderIds: ids, approved })
+      });
+      const data = await res.json();
+      if (res.status === 401) forgetAdminToken();
+      if (data.error) {
+        move(new Set());
+        setMessage({ type: 'error', text: data.error });
+      } else {
+        const okIds = new Set(data.results.filter(r => r.ok).map(r => r.id));
+        move(okIds);
+        const failures = data.results.filter(r => !r.ok);
+        setMessage(failures.length === 0
+          ? { type: 'success', text: `${approved ? 'Approved' : 'Rejected'} ${okIds.size} order${okIds.size === 1 ? '' : 's'}` }
+          : { type: 'error', text: `${okIds.size} updated, ${failures.length} failed: ${failures.map(f => `${f.name || f.id} (${f.error})`).join(', ')}` });
+        // Pick up server-side SLA buckets and totals for the moved orders
+        if (okIds.size > 0) fetchOrders({ quiet: true });
+      }
+    } catch (e) {
+      move(new Set());
+      setMessage({ type: 'error', text: e.message });
+    }
+    setUpdatingIds(new Set());
+  };
+
+  // Fulfilled orders leave the backlog straight away; a quiet refresh then corrects the totals
+  const removeFulfilled = (ids) => {
+    const done = new Set(ids);
+    setApprovedOrders(prev => prev.filter(o => !done.has(o.id)));
+    setSelectedIds(prev => new Set([...prev].filter(id => !done.has(id))));
+    fetchOrders({ quiet: true });
+  };
+
+  const toggleSelected = (id) => {
+    const next = new Set(selectedIds);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setSelectedIds(next);
+  };
+
+  const switchTab = (tab) => {
+    setActiveTab(tab);
+    setSelectedIds(new Set());
+  };
+
+  const fetchMetrics = async (range = metricsRange, courier = courierFilter) => {
     setMetricsLoading(true);
     try {
-      const res = await fetch('/api/metrics');
+      const res = await fetch(`/api/metrics?${new URLSearchParams(courier ? { ...range, courier } : range)}`);
       const data = await res.json();
-      if (!data.error) setMetrics(data);
+      if (data.error) setMessage({ type: 'error', text: data.error });
+      else setMetrics(data);
     } catch (e) { /* silent */ }
     setMetricsLoading(false);
   };
 
+  const changeRange = (range) => {
+    setMetricsRange(range);
+    fetchMetrics(range);
+  };
+
+  const changeCourier = (courier) => {
+    setCourierFilter(courier);
+    fetchMetrics(metricsRange, courier);
+  };
+
   const sendEmail = async () => {
     setSending(true);
     setMessage(null);
@@ -145,89 +292,8 @@ function App() {
     return `${days}d ${remHrs}h`;
   };
 
-  // New tile structure logic
-  const getTileCounts = () => {
-    const now = new Date();
-    const phtNow = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Manila' }));
-    const phtDay = phtNow.getDay(); // 0=Sun
-
-    if (phtDay === 0) return { shipToday: 0, overdue: 0, scheduled: 0, newOrders: 0, pending: 0 };
-
-    // Today's date for comparison (YYYY-MM-DD in PHT)
-    const todayPHT = new Date(phtNow.getFullYear(), phtNow.getMonth(), phtNow.getDate());
-
-    // Yesterday's cutoffs in PHT
-    const yesterday12NN = new Date(phtNow);
-    yesterday12NN.setDate(yesterday12NN.getDate() - 1);
-    yesterday12NN.setHours(12, 0, 0, 0);
-
-    const yesterday3PM = new Date(phtNow);
-    yesterday3PM.setDate(yesterday3PM.getDate() - 1);
-    yesterday3PM.setHours(15, 0, 0, 0);
-
-    // Today's cutoffs in PHT
-    const today12NN = new Date(phtNow);
-    today12NN.setHours(12, 0, 0, 0);
-    const today3PM = new Date(phtNow);
-    today3PM.setHours(15, 0, 0, 0);
-
-    let shipToday = 0;
-    let overdue = 0;
-    let scheduled = 0;
-    let newOrders = 0;
-
-    for (const o of approvedOrders) {
-      if (o.preferred_delivery_date) {
-        // Orders WITH delivery date
-        const deliveryDate = new Date(o.preferred_delivery_date + 'T00:00:00');
-        const deliveryDatePHT = new Date(deliveryDate.toLocaleString('en-US', { timeZone: 'Asia/Manila' }));
-        const deliveryDateOnly = new Date(deliveryDatePHT.getFullYear(), deliveryDatePHT.getMonth(), deliveryDatePHT.getDate());
-        
-        if (deliveryDateOnly < todayPHT) {
-          // Delivery date is past → overdue (part of Ship Today)
-          overdue++;
-          shipToday++;
-        } else if (deliveryDateOnly.getTime() === todayPHT.getTime()) {
-          // Delivery date is today → check if past cutoff
-          const isProvincial = o.is_provincial === true;
-          const todayCutoff = isProvincial ? today12NN : today3PM;
-          
-          if (phtNow > todayCutoff) {
-            // Past today's cutoff with today's delivery date → overdue
-            overdue++;
-          }
-          shipToday++; // Always part of Ship Today if delivery date is today
-        } else {
-          // Delivery date is future → scheduled
-          scheduled++;
-        }
-      } else {
-        // Orders WITHOUT delivery date: use cutoff logic
-        const ref = getEffectiveApprovalDate(o);
-        const approvedPHT = new Date(new Date(ref).toLocaleString('en-US', { timeZone: 'Asia/Manila' }));
-        const isProvincial = o.is_provincial === true;
-        const yesterdayCutoff = isProvincial ? yesterday12NN : yesterday3PM;
-        const todayCutoff = isProvincial ? today12NN : today3PM;
-
-        if (approvedPHT < yesterdayCutoff) {
-          // Approved before yesterday's cutoff → overdue (part of Ship Today)
-          overdue++;
-          shipToday++;
-        } else if (approvedPHT < todayCutoff) {
-          // Approved between yesterday's cutoff and today's cutoff → Ship Today
-          shipToday++;
-        } else {
-          // Approved after today's cutoff → new (due tomorrow)
-          newOrders++;
-        }
-      }
-    }
-
-    const pending = shipToday + scheduled + newOrders;
-    return { shipToday, overdue, scheduled, newOrders, pending };
-  };
-
-  // Helper function to get the effective approval date (later of approved_at vs created_at)
+  // Effective approval date for wait-time display (later of approved_at vs created_at).
+  // SLA buckets themselves are computed server-side in api/_lib/sla.js.
   const getEffectiveApprovalDate = (order) => {
     const approvedAt = order.approved_at ? new Date(order.approved_at) : null;
     const createdAt = new Date(order.created_at);
@@ -241,7 +307,7 @@ function App() {
 
   const rawOrders = activeTab === 'approved' ? approvedOrders : notApprovedOrders;
   const summary = activeTab === 'approved' ? approvedSummary : notApprovedSummary;
-  const tileCounts = getTileCounts();
+  const tileCounts = approvedSla || { shipToday: 0, overdue: 0, scheduled: 0, newOrders: 0, pending: 0 };
 
   // Sort approved orders by approved_at descending (most recent first)
   const sortedOrders = activeTab === 'approved'
@@ -252,38 +318,8 @@ function App() {
       })
     : rawOrders;
 
-  // Overdue: approved before yesterday's cutoff (12NN prov / 3PM metro) OR delivery date before today
-  const isOverdue = (o) => {
-    const phtNow = new Date(new Date().toLocaleString('en-US', { timeZone: 'Asia/Manila' }));
-    const todayPHT = new Date(phtNow.getFullYear(), phtNow.getMonth(), phtNow.getDate());
-    
-    if (o.preferred_delivery_date) {
-      // Orders WITH delivery date: check if delivery date is before today OR today but past cutoff
-      const deliveryDate = new Date(o.preferred_delivery_date + 'T00:00:00');
-      const deliveryDatePHT = new Date(deliveryDate.toLocaleString('en-US', { timeZone: 'Asia/Manila' }));
-      const deliveryDateOnly = new Date(deliveryDatePHT.getFullYear(), deliveryDatePHT.getMonth(), deliveryDatePHT.getDate());
-      
-      if (deliveryDateOnly < todayPHT) {
-        return true; // Past delivery date
-      } else if (deliveryDateOnly.getTime() === todayPHT.getTime()) {
-        // Delivery date is today - check if past cutoff
-        const isProvincial = o.is_provincial === true;
-        const todayCutoff = new Date(phtNow);
-        todayCutoff.setHours(isProvincial ? 12 : 15, 0, 0, 0);
-        return phtNow > todayCutoff;
-      }
-      return false;
-    } else {
-      // Orders WITHOUT delivery date: use existing cutoff logic
-      const ref = getEffectiveApprovalDate(o);
-      const isProvincial = o.is_provincial === true;
-      const yesterdayCutoff = new Date(phtNow);
-      yesterdayCutoff.setDate(yesterdayCutoff.getDate() - 1);
-      yesterdayCutoff.setHours(isProvincial ? 12 : 15, 0, 0, 0);
-      const approvedPHT = new Date(new Date(ref).toLocaleString('en-US', { timeZone: 'Asia/Manila' }));
-      return approvedPHT < yesterdayCutoff;
-    }
-  };
+  const isOverdue = (o) => o.sla_bucket === 'overdue';
+  const isPartial = (o) => o.fulfillment_state === 'partial';
 
   // Apply filters (approved tab only)
   const orders = activeTab === 'approved'
@@ -291,34 +327,67 @@ function App() {
         if (deliveryFilter === 'with_date') return !!o.preferred_delivery_date;
         if (deliveryFilter === 'without_date') return !o.preferred_delivery_date;
         if (deliveryFilter === 'overdue') return isOverdue(o);
+        if (deliveryFilter === 'partial') return isPartial(o);
         return true;
       })
     : sortedOrders;
 
   // Filter counts for badges
-  const phtNow = new Date(new Date().toLocaleString('en-US', { timeZone: 'Asia/Manila' }));
-  const todayPHT = new Date(phtNow.getFullYear(), phtNow.getMonth(), phtNow.getDate());
-  
   const allWithDateCount = approvedOrders.filter(o => o.preferred_delivery_date).length;
   const withoutDateCount = approvedOrders.filter(o => !o.preferred_delivery_date).length;
   const overdueCount = approvedOrders.filter(o => isOverdue(o)).length;
-
-  // Prepare chart data (filter out Sundays for ship time)
-  const shipTimeData = metrics?.days?.filter(d => !d.isSunday && d.avgShipTimeHours !== null) || [];
-  const fulfilledData = metrics?.days?.filter(d => !d.isSunday) || [];
-
-  // Calculate monthly averages
-  const avgShipTime = shipTimeData.length > 0 
-    ? shipTimeData.reduce((sum, d) => sum + d.avgShipTimeHours, 0) / shipTimeData.length 
-    : 0;
-  
-  const avgMetroPerDay = fulfilledData.length > 0
-    ? fulfilledData.reduce((sum, d) => sum + (d.metro || 0), 0) / fulfilledData.length
-    : 0;
-  
-  const avgProvincialPerDay = fulfilledData.length > 0
-    ? fulfilledData.reduce((sum, d) => sum + (d.provincial || 0), 0) / fulfilledData.length
-    : 0;
+  const partialCount = approvedOrders.filter(o => isPartial(o)).length;
+
+  const shipField = SHIP_CLOCKS.find(cl => cl.key === shipClock)[shipMilestone];
+
+  // Line the previous period up day-by-day with the current one for the comparison series
+  const prevDays = metrics?.previous?.days || [];
+  const chartDays = (metrics?.days || []).map((d, i) => {
+    const prev = prevDays[i]?.isWorkingDay ? prevDays[i] : null;
+    return {
+      ...d,
+      prevDate: prevDays[i]?.date || null,
+      shipTimeHours: d[shipField]?.[shipStat] ?? null,
+      prevShipTimeHours: prev?.[shipField]?.[shipStat] ?? null,
+      prevFulfilled: prev ? prev.metro + prev.provincial : null,
+    };
+  });
+
+  // Prepare chart data (filter out non-working days from the calendar)
+  const shipTimeData = chartDays.filter(d => d.isWorkingDay && d.shipTimeHours !== null);
+  const fulfilledData = chartDays.filter(d => d.isWorkingDay);
+
+  // Averages over the selected range and the previous equivalent period
+  const { metro: avgMetroPerDay, provincial: avgProvincialPerDay } = periodAverages(metrics?.days);
+  const previousAvg = periodAverages(prevDays);
+  // Ship time over every order in the period (not an average of daily figures)
+  const periodShipTime = metrics?.[shipField]?.[shipStat] ?? null;
+  const previousShipTime = metrics?.previous?.[shipField]?.[shipStat] ?? null;
+  const shipStatLabel = SHIP_STATS.find(st => st.key === shipStat).label;
+  const businessHours = shipClock === 'business';
+  const toComplete = shipMilestone === 'complete';
+  // 24h on the wall clock is one working day in business hours
+  const shipTarget = businessHours ? (metrics?.workingHours?.hoursPerDay || 9) : 24;
+  const rangeLabel = RANGE_PRESETS.find(p => p.key === metrics?.range?.preset)?.label
+    || (metrics?.range ? `${metrics.range.from.slice(5)} → ${metrics.range.to.slice(5)}` : '');
+  const comparing = showComparison && prevDays.length > 0;
+  const complianceData = fulfilledData
+    .filter(d => d.compliance?.rate !== null)
+    .map(d => ({
+      date: d.date,
+      rate: d.compliance.rate,
+      metro: d.metroCompliance.rate,
+      provincial: d.provincialCompliance.rate,
+      onTime: d.compliance.onTime,
+      late: d.compliance.late,
+    }));
+  const periodCompliance = metrics?.compliance?.rate ?? null;
+  const previousCompliance = metrics?.previous?.compliance?.rate ?? null;
+  // Signed change vs the previous period, e.g. "▼ 3.2h"
+  const delta = (current, previous, unit = '') => {
+    const diff = current - previous;
+    return `${diff >= 0 ? '▲' : '▼'} ${Math.abs(diff).toFixed(1)}${unit}`;
+  };
 
   return (
     <div style={{ minHeight: '100vh', background: C.bg, fontFamily: "'DM Sans', sans-serif" }}>
@@ -342,13 +411,24 @@ function App() {
             <div style={{ fontSize: 12, color: C.gray }}>Approved to ship + Unfulfilled orders</div>
           </div>
         </div>
-        <div style={{
-          padding: '6px 12px', borderRadius: 20,
-          background: configured ? '#D1FAE5' : '#FEE2E2',
-          color: configured ? C.green : C.red,
-          fontSize: 12, fontWeight: 600
-        }}>
-          {configured ? '● Connected' : '○ Not Configured'}
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+          <button onClick={() => setShowSettings(!showSettings)}
+            style={{
+              padding: '6px 12px', borderRadius: 20, fontSize: 12, fontWeight: 600, cursor: 'pointer',
+              border: showSettings ? `2px solid ${C.accent}` : `1px solid ${C.beige}`,
+              background: showSettings ? '#FDF2EC' : '#fff',
+              color: showSettings ? C.accent : C.gray,
+            }}>
+            ⚙️ Settings
+          </button>
+          <div style={{
+            padding: '6px 12px', borderRadius: 20,
+            background: configured ? '#D1FAE5' : '#FEE2E2',
+            color: configured ? C.green : C.red,
+            fontSize: 12, fontWeight: 600
+          }}>
+            {configured ? '● Connected' : '○ Not Configured'}
+          </div>
         </div>
       </header>
 
@@ -361,6 +441,24 @@ function App() {
           }}>{message.text}</div>
         )}
 
+        {showSettings && (
+          <>
+            <CutoffRulesSettings onSaved={fetchOrders} />
+            <CalendarSettings onSaved={() => { fetchOrders(); fetchMetrics(); }} />
+            <ReportSettings />
+            <CutoffAlertSettings />
+          </>
+        )}
+
+        {today && !today.isWorkingDay && (
+          <div style={{
+            padding: '12px 16px', borderRadius: 8, marginBottom: 16,
+            background: '#DBEAFE', color: C.blue, fontSize: 14
+          }}>
+            📅 No dispatch today{today.closure?.name ? ` — ${today.closure.name}` : ''}. Orders roll over to the next working day.
+          </div>
+        )}
+
         {/* Summary Tiles */}
         {summary && (
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 16, marginBottom: 20 }}>
@@ -408,23 +506,83 @@ function App() {
           </div>
         )}
 
+        {configured && <WorkloadForecast />}
+
+        {/* Metrics date range */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap', marginBottom: 12 }}>
+          {RANGE_PRESETS.map(p => (
+            <button key={p.key} onClick={() => changeRange({ preset: p.key })}
+              style={{
+                padding: '4px 12px', borderRadius: 16, fontSize: 11, fontWeight: 600, cursor: 'pointer',
+                border: metricsRange.preset === p.key ? `2px solid ${C.accent}` : `1px solid ${C.beige}`,
+                background: metricsRange.preset === p.key ? '#FDF2EC' : '#fff',
+                color: metricsRange.preset === p.key ? C.accent : C.gray,
+              }}>
+              {p.label}
+            </button>
+          ))}
+          <input type="date" value={customRange.from} onChange={e => setCustomRange({ ...customRange, from: e.target.value })}
+            style={{ ...inputStyle, padding: '4px 8px', fontSize: 12, marginLeft: 6 }} />
+          <span style={{ fontSize: 12, color: C.gray }}>→</span>
+          <input type="date" value={customRange.to} onChange={e => setCustomRange({ ...customRange, to: e.target.value })}
+            style={{ ...inputStyle, padding: '4px 8px', fontSize: 12 }} />
+          <button onClick={() => changeRange(customRange)} disabled={!customRange.from || !customRange.to}
+            style={{
+              padding: '4px 12px', borderRadius: 16, fontSize: 11, fontWeight: 600,
+              cursor: !customRange.from || !customRange.to ? 'not-allowed' : 'pointer',
+              border: !metricsRange.preset ? `2px solid ${C.accent}` : `1px solid ${C.beige}`,
+              background: !metricsRange.preset ? '#FDF2EC' : '#fff',
+              color: !metricsRange.preset ? C.accent : C.gray,
+            }}>
+            Apply
+          </button>
+          {metrics?.couriers?.length > 0 && (
+            <select value={courierFilter || ''} onChange={e => changeCourier(e.target.value || null)}
+              style={{ ...inputStyle, padding: '4px 8px', fontSize: 12, marginLeft: 6 }}>
+              <option value="">All couriers</option>
+              {metrics.couriers.map(c => <option key={c.courier} value={c.courier}>{c.courier}</option>)}
+            </select>
+          )}
+          <label style={{ marginLeft: 'auto', fontSize: 12, color: C.gray, display: 'flex', alignItems: 'center', gap: 6 }}>
+            <input type="checkbox" checked={showComparison} onChange={e => setShowComparison(e.target.checked)} />
+            Compare to {metrics?.previous ? `${metrics.previous.from} → ${metrics.previous.to}` : 'previous period'}
+          </label>
+        </div>
+
         {/* Charts Row */}
-        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginBottom: 20 }}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(340px, 1fr))', gap: 16, marginBottom: 20 }}>
           {/* Approved to Ship Time */}
           <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}` }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 4 }}>
               <div style={{ fontSize: 14, fontWeight: 600, color: C.dark }}>Approved to Ship Time</div>
-              {avgShipTime > 0 && (
+              {periodShipTime !== null && (
                 <div style={{ textAlign: 'right' }}>
-                  <div style={{ fontSize: 20, fontWeight: 700, color: C.dark }}>{avgShipTime.toFixed(1)}h</div>
-                  <div style={{ fontSize: 11, color: C.gray }}>↔ MTD</div>
+                  <div style={{ fontSize: 20, fontWeight: 700, color: C.dark }}>{periodShipTime.toFixed(1)}h</div>
+                  <div style={{ fontSize: 11, color: C.gray }}>{shipStatLabel} ↔ {rangeLabel} · {metrics[shipField].samples} orders</div>
+                  {comparing && previousShipTime !== null && (
+                    <div style={{ fontSize: 11, fontWeight: 600, color: periodShipTime <= previousShipTime ? C.green : C.red }}>
+                      {delta(periodShipTime, previousShipTime, 'h')} vs {previousShipTime.toFixed(1)}h
+                    </div>
+                  )}
                 </div>
               )}
             </div>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 4 }}>
-              <div style={{ fontSize: 11, color: C.gray }}>Average hours from approval to fulfillment</div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8, flexWrap: 'wrap', marginBottom: 4 }}>
+              <div style={{ fontSize: 11, color: C.gray }}>
+                {`Hours from approval to ${toComplete ? 'the last item shipping' : 'the first shipment'}`}
+                {businessHours && ` within warehouse hours (${metrics?.workingHours?.start || '08:00'}–${metrics?.workingHours?.end || '17:00'}, working days)`}
+              </div>
+              <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>
+                {[...SHIP_STATS.map(st => ({ ...st, active: shipStat === st.key, onClick: () => setShipStat(st.key) })),
+                  ...SHIP_CLOCKS.map(cl => ({ ...cl, active: shipClock === cl.key, onClick: () => setShipClock(cl.key) })),
+                  ...SHIP_MILESTONES.map(ms => ({ ...ms, active: shipMilestone === ms.key, onClick: () => setShipMilestone(ms.key) }))].map(opt => (
+                  <button key={opt.key} onClick={opt.onClick} style={pill(opt.active)}>
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
             </div>
-            <div style={{ fontSize: 11, color: C.gray, marginBottom: 16 }}>Target: 24h</div>
+            <div style={{ fontSize: 11, color: C.gray, marginBottom: 16 }}>Target: {shipTarget}h{businessHours ? ' (one working day)' : ''}</div>
             {shipTimeData.length > 0 ? (
               <ResponsiveContainer width="100%" height={200}>
                 <LineChart data={shipTimeData}>
@@ -433,11 +591,14 @@ function App() {
                   <YAxis tick={{ fontSize: 10, fill: C.gray }} unit="h" />
                   <Tooltip
                     contentStyle={{ fontSize: 12, borderRadius: 8 }}
-                    formatter={(v) => [`${v}h`, 'Avg Ship Time']}
+                    formatter={(v, name, item) => [`${v}h`, name === 'Previous' ? `Previous (${item.payload.prevDate})` : `${shipStatLabel} Ship Time`]}
                     labelFormatter={(v) => v}
                   />
-                  <ReferenceLine y={24} stroke={C.green} strokeDasharray="5 5" label={{ value: '24h target', fontSize: 10, fill: C.green, position: 'right' }} />
-                  <Line type="monotone" dataKey="avgShipTimeHours" stroke={C.accent} strokeWidth={2} dot={{ r: 3, fill: C.accent }} name="Avg Hours" />
+                  <ReferenceLine y={shipTarget} stroke={C.green} strokeDasharray="5 5" label={{ value: `${shipTarget}h target`, fontSize: 10, fill: C.green, position: 'right' }} />
+                  <Line type="monotone" dataKey="shipTimeHours" stroke={C.accent} strokeWidth={2} dot={{ r: 3, fill: C.accent }} name={`${shipStatLabel} Hours`} />
+                  {comparing && (
+                    <Line type="monotone" dataKey="prevShipTimeHours" stroke={C.gray} strokeWidth={1.5} strokeDasharray="4 4" dot={false} connectNulls name="Previous" />
+                  )}
                 </LineChart>
               </ResponsiveContainer>
             ) : (
@@ -447,7 +608,7 @@ function App() {
             )}
           </div>
 
-          {/* Orders Fulfilled Per Day (MTD) */}
+          {/* Orders Fulfilled Per Day */}
           <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}` }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 4 }}>
               <div style={{ fontSize: 14, fontWeight: 600, color: C.dark }}>Orders Fulfilled Per Day</div>
@@ -455,15 +616,23 @@ function App() {
                 <div style={{ textAlign: 'right' }}>
                   <div style={{ fontSize: 20, fontWeight: 700, color: C.dark }}>{(avgMetroPerDay + avgProvincialPerDay).toFixed(0)} avg/day</div>
                   <div style={{ fontSize: 11, color: C.gray }}>({avgMetroPerDay.toFixed(0)} metro · {avgProvincialPerDay.toFixed(0)} provincial)</div>
+                  {comparing && (previousAvg.metro + previousAvg.provincial) > 0 && (
+                    <div style={{
+                      fontSize: 11, fontWeight: 600,
+                      color: avgMetroPerDay + avgProvincialPerDay >= previousAvg.metro + previousAvg.provincial ? C.green : C.red
+                    }}>
+                      {delta(avgMetroPerDay + avgProvincialPerDay, previousAvg.metro + previousAvg.provincial)} vs {(previousAvg.metro + previousAvg.provincial).toFixed(0)}/day
+                    </div>
+                  )}
                 </div>
               )}
             </div>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
-              <div style={{ fontSize: 11, color: C.gray }}>Provincial vs Metro · Excludes Sundays</div>
+              <div style={{ fontSize: 11, color: C.gray }}>Completed orders, Provincial vs Metro · Shipments include split and partial fulfillments · Excludes non-working days</div>
             </div>
             {fulfilledData.length > 0 ? (
               <ResponsiveContainer width="100%" height={200}>
-                <BarChart data={fulfilledData}>
+                <ComposedChart data={fulfilledData}>
                   <CartesianGrid strokeDasharray="3 3" stroke={C.beige} />
                   <XAxis dataKey="date" tick={{ fontSize: 10, fill: C.gray }} tickFormatter={v => v.slice(5)} />
                   <YAxis tick={{ fontSize: 10, fill: C.gray }} />
@@ -474,7 +643,57 @@ function App() {
                   <Legend wrapperStyle={{ fontSize: 11 }} />
                   <Bar dataKey="metro" stackId="a" fill={C.accent} name="Metro" />
                   <Bar dataKey="provincial" stackId="a" fill={C.yellow} name="Provincial" radius={[4, 4, 0, 0]} />
-                </BarChart>
+                  <Line type="monotone" dataKey="shipments" stroke={C.blue} strokeWidth={1.5} dot={{ r: 2 }} name="Shipments" />
+                  {comparing && (
+                    <Line type="monotone" dataKey="prevFulfilled" stroke={C.gray} strokeWidth={1.5} strokeDasharray="4 4" dot={false} connectNulls name="Previous period" />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+            ) : (
+              <div style={{ height: 200, display: 'flex', alignItems: 'center', justifyContent: 'center', color: C.gray, fontSize: 13 }}>
+                {metricsLoading ? 'Loading metrics...' : 'No data yet'}
+              </div>
+            )}
+          </div>
+
+          {/* SLA Compliance */}
+          <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}` }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 4 }}>
+              <div style={{ fontSize: 14, fontWeight: 600, color: C.dark }}>SLA Compliance</div>
+              {periodCompliance !== null && (
+                <div style={{ textAlign: 'right' }}>
+                  <div style={{ fontSize: 20, fontWeight: 700, color: periodCompliance >= COMPLIANCE_TARGET ? C.green : C.red }}>{periodCompliance}%</div>
+                  <div style={{ fontSize: 11, color: C.gray }}>
+                    ({metrics.metroCompliance.rate ?? '—'}% metro · {metrics.provincialCompliance.rate ?? '—'}% provincial)
+                  </div>
+                  {comparing && previousCompliance !== null && (
+                    <div style={{ fontSize: 11, fontWeight: 600, color: periodCompliance >= previousCompliance ? C.green : C.red }}>
+                      {delta(periodCompliance, previousCompliance, 'pt')} vs {previousCompliance}%
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+            <div style={{ fontSize: 11, color: C.gray, marginBottom: 16 }}>
+              Orders complete within their cutoff window or by their delivery date · Target: {COMPLIANCE_TARGET}%
+            </div>
+            {complianceData.length > 0 ? (
+              <ResponsiveContainer width="100%" height={200}>
+                <LineChart data={complianceData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={C.beige} />
+                  <XAxis dataKey="date" tick={{ fontSize: 10, fill: C.gray }} tickFormatter={v => v.slice(5)} />
+                  <YAxis tick={{ fontSize: 10, fill: C.gray }} unit="%" domain={[0, 100]} />
+                  <Tooltip
+                    contentStyle={{ fontSize: 12, borderRadius: 8 }}
+                    formatter={(v, name, item) => [name === 'All' ? `${v}% (${item.payload.onTime} on time, ${item.payload.late} late)` : `${v}%`, name]}
+                    labelFormatter={(v) => v}
+                  />
+                  <Legend wrapperStyle={{ fontSize: 11 }} />
+                  <ReferenceLine y={COMPLIANCE_TARGET} stroke={C.green} strokeDasharray="5 5" label={{ value: `${COMPLIANCE_TARGET}% target`, fontSize: 10, fill: C.green, position: 'right' }} />
+                  <Line type="monotone" dataKey="rate" stroke={C.dark} strokeWidth={2} dot={{ r: 3, fill: C.dark }} name="All" />
+                  <Line type="monotone" dataKey="metro" stroke={C.accent} strokeWidth={1.5} dot={false} connectNulls name="Metro" />
+                  <Line type="monotone" dataKey="provincial" stroke={C.yellow} strokeWidth={1.5} dot={false} connectNulls name="Provincial" />
+                </LineChart>
               </ResponsiveContainer>
             ) : (
               <div style={{ height: 200, display: 'flex', alignItems: 'center', justifyContent: 'center', color: C.gray, fontSize: 13 }}>
@@ -484,6 +703,14 @@ function App() {
           </div>
         </div>
 
+        <ActivityHeatmap heatmap={metrics?.heatmap} />
+
+        <CourierPerformance couriers={metrics?.couriers} selected={courierFilter} onSelect={changeCourier} />
+
+        {configured && <ApprovalMetrics range={metricsRange} />}
+
+        {configured && <BacklogHistoryChart />}
+
         {/* Actions */}
         <div style={{
           background: '#fff', borderRadius: 12, padding: 20, marginBottom: 20,
@@ -519,13 +746,24 @@ function App() {
               }}>
               ⬇️ Export CSV
             </button>
+            <button onClick={() => setShowPickList(!showPickList)} disabled={approvedOrders.length === 0}
+              style={{
+                padding: '12px 24px', borderRadius: 8,
+                border: showPickList ? `2px solid ${C.accent}` : `1px solid ${C.beige}`,
+                background: showPickList ? '#FDF2EC' : C.cream,
+                color: showPickList ? C.accent : C.dark, fontWeight: 500, fontSize: 14,
+                cursor: approvedOrders.length === 0 ? 'not-allowed' : 'pointer',
+                opacity: approvedOrders.length === 0 ? 0.6 : 1
+              }}>
+              📋 Pick List
+            </button>
           </div>
           {lastFetch && <div style={{ marginTop: 12, fontSize: 12, color: C.gray }}>Last updated: {lastFetch}</div>}
           
           {/* Tabs */}
           {(approvedOrders.length > 0 || notApprovedOrders.length > 0) && (
             <div style={{ marginTop: 16, display: 'flex', gap: 8 }}>
-              <button onClick={() => setActiveTab('approved')}
+              <button onClick={() => switchTab('approved')}
                 style={{
                   padding: '10px 20px', borderRadius: 8,
                   border: activeTab === 'approved' ? `2px solid ${C.green}` : `1px solid ${C.beige}`,
@@ -533,9 +771,9 @@ function App() {
                   color: activeTab === 'approved' ? C.green : C.dark,
                   fontWeight: 600, fontSize: 14, cursor: 'pointer'
                 }}>
-                ✓ Approved ({approvedSummary?.count || 0})
+                ✓ Approved ({approvedOrders.length})
               </button>
-              <button onClick={() => setActiveTab('notApproved')}
+              <button onClick={() => switchTab('notApproved')}
                 style={{
                   padding: '10px 20px', borderRadius: 8,
                   border: activeTab === 'notApproved' ? `2px solid ${C.red}` : `1px solid ${C.beige}`,
@@ -543,12 +781,14 @@ function App() {
                   color: activeTab === 'notApproved' ? C.red : C.dark,
                   fontWeight: 600, fontSize: 14, cursor: 'pointer'
                 }}>
-                ✗ Rejected ({notApprovedSummary?.count || 0})
+                ✗ Rejected ({notApprovedOrders.length})
               </button>
             </div>
           )}
         </div>
 
+        {showPickList && approvedOrders.length > 0 && <PickList orders={approvedOrders} />}
+
         {/* Orders Table */}
         <div style={{
           background: '#fff', borderRadius: 12, border: `1px solid ${C.beige}`, overflow: 'hidden'
@@ -567,6 +807,7 @@ function App() {
                   { key: 'with_date', label: 'With Delivery Date', count: allWithDateCount },
                   { key: 'without_date', label: 'No Delivery Date', count: withoutDateCount },
                   { key: 'overdue', label: 'Overdue', count: overdueCount },
+                  { key: 'partial', label: 'Partially Fulfilled', count: partialCount },
                 ].map(f => (
                   <button key={f.key} onClick={() => setDeliveryFilter(f.key)}
                     style={{
@@ -582,6 +823,35 @@ function App() {
             )}
           </div>
 
+          {selectedIds.size > 0 && (
+            <div style={{
+              padding: '10px 20px', borderBottom: `1px solid ${C.beige}`, background: '#FDF2EC',
+              display: 'flex', alignItems: 'center', gap: 12, fontSize: 13
+            }}>
+              <span style={{ fontWeight: 600, color: C.dark }}>{selectedIds.size} selected</span>
+              <button onClick={() => setApproval(orders.filter(o => selectedIds.has(o.id)), activeTab !== 'approved')}
+                style={{
+                  padding: '6px 14px', borderRadius: 8, border: 'none', fontWeight: 600, fontSize: 13, cursor: 'pointer',
+                  background: activeTab === 'approved' ? C.red : C.green, color: '#fff'
+                }}>
+                {activeTab === 'approved' ? '✗ Reject selected' : '✓ Approve selected'}
+              </button>
+              {activeTab === 'approved' && (
+                <button onClick={() => setFulfilling(orders.filter(o => selectedIds.has(o.id)))}
+                  style={{
+                    padding: '6px 14px', borderRadius: 8, border: 'none', fontWeight: 600, fontSize: 13, cursor: 'pointer',
+                    background: C.accent, color: '#fff'
+                  }}>
+                  📦 Fulfill selected
+                </button>
+              )}
+              <button onClick={() => setSelectedIds(new Set())}
+                style={{ border: 'none', background: 'none', color: C.gray, cursor: 'pointer', fontSize: 13 }}>
+                Clear
+              </button>
+            </div>
+          )}
+
           {orders.length === 0 ? (
             <div style={{ padding: 40, textAlign: 'center', color: C.gray }}>
               {configured
@@ -595,6 +865,11 @@ function App() {
               <table style={{ width: '100%', borderCollapse: 'collapse' }}>
                 <thead>
                   <tr style={{ background: C.cream, position: 'sticky', top: 0, zIndex: 1 }}>
+                    <th style={{ ...thStyle, width: 28 }}>
+                      <input type="checkbox"
+                        checked={orders.length > 0 && orders.every(o => selectedIds.has(o.id))}
+                        onChange={e => setSelectedIds(e.target.checked ? new Set(orders.map(o => o.id)) : new Set())} />
+                    </th>
                     <th style={thStyle}>Order</th>
                     <th style={thStyle}>Customer</th>
                     {activeTab === 'approved' && <th style={thStyle}>Phone</th>}
@@ -615,6 +890,7 @@ function App() {
                         <th style={{ ...thStyle, textAlign: 'right' }}>Total</th>
                       </>
                     )}
+                    <th style={thStyle}></th>
                   </tr>
                 </thead>
                 <tbody>
@@ -623,12 +899,20 @@ function App() {
                     const waitHrs = (new Date() - new Date(waitRef)) / (1000 * 60 * 60);
                     const waitColor = waitHrs > 72 ? C.red : waitHrs > 24 ? C.yellow : C.gray;
                     const addr = order.shipping_address;
+                    const updating = updatingIds.has(order.id);
 
                     return (
-                      <tr key={order.id} style={{ borderTop: i > 0 ? `1px solid ${C.beige}` : 'none' }}>
+                      <tr key={order.id} onClick={() => setSelectedOrder(order)}
+                        style={{ borderTop: i > 0 ? `1px solid ${C.beige}` : 'none', cursor: 'pointer', opacity: updating ? 0.5 : 1 }}>
+                        <td style={tdStyle} onClick={e => e.stopPropagation()}>
+                          <input type="checkbox" checked={selectedIds.has(order.id)} onChange={() => toggleSelected(order.id)} />
+                        </td>
                         <td style={tdStyle}>
                           <div style={{ fontWeight: 600, color: C.accent }}>{order.name}</div>
                           <div style={{ fontSize: 11, color: C.gray }}>{new Date(order.created_at).toLocaleDateString('en-PH', { timeZone: 'Asia/Manila' })}</div>
+                          {isPartial(order) && (
+                            <span style={{ background: '#DBEAFE', color: C.blue, padding: '1px 6px', borderRadius: 10, fontSize: 10, fontWeight: 600 }}>Partially fulfilled</span>
+                          )}
                         </td>
                         <td style={tdStyle}>
                           <div style={{ fontSize: 14 }}>{order.customer?.first_name} {order.customer?.last_name}</div>
@@ -661,6 +945,11 @@ function App() {
                               {order.is_provincial
                                 ? <span style={{ background: '#FEF3C7', color: C.yellow, padding: '2px 8px', borderRadius: 12, fontWeight: 600, fontSize: 11 }}>Provincial</span>
                                 : <span style={{ color: C.gray }}>Metro</span>}
+                              {order.cutoff_time && (
+                                <div style={{ fontSize: 10, color: C.gray, marginTop: 4 }} title={order.cutoff_rule}>
+                                  Cutoff {order.cutoff_time}{order.courier ? ` · ${order.courier}` : ''}
+                                </div>
+                              )}
                             </td>
                             <td style={{ ...tdStyle, textAlign: 'center', fontSize: 13 }}>
                               {order.preferred_delivery === true && <span style={{ color: C.green }}>✓</span>}
@@ -692,6 +981,17 @@ function App() {
                             </td>
                           </>
                         )}
+                        <td style={{ ...tdStyle, textAlign: 'right' }} onClick={e => e.stopPropagation()}>
+                          <button onClick={() => setApproval([order], activeTab !== 'approved')} disabled={updating}
+                            style={{
+                              padding: '4px 10px', borderRadius: 6, fontSize: 11, fontWeight: 600, whiteSpace: 'nowrap',
+                              cursor: updating ? 'not-allowed' : 'pointer', background: '#fff',
+                              border: `1px solid ${activeTab === 'approved' ? C.red : C.green}`,
+                              color: activeTab === 'approved' ? C.red : C.green
+                            }}>
+                            {activeTab === 'approved' ? '✗ Reject' : '✓ Approve'}
+                          </button>
+                        </td>
                       </tr>
                     );
                   })}
@@ -703,14 +1003,14 @@ function App() {
 
         <div style={{ marginTop: 20, padding: 16, background: C.cream, borderRadius: 8, fontSize: 13, color: C.gray }}>
           <strong>📧 Daily Email:</strong> Sent every day at 8:00 AM PHT with pending fulfillment orders.
-          {' · '}<strong>🕒 Cutoff:</strong> Orders approved before 3:00 PM are due same day (Mon–Sat). No fulfillment on Sundays.
+          {' · '}<strong>🕒 Cutoff:</strong> Orders approved before their region's cutoff (default 12NN provincial, 3PM metro) are due same day on working days. No fulfillment on Sundays, holidays or closures (see ⚙️ Settings).
         </div>
       </main>
+
+      {selectedOrder && <OrderDrawer order={selectedOrder} onClose={() => setSelectedOrder(null)} />}
+      {fulfilling && <FulfillDialog orders={fulfilling} onClose={() => setFulfilling(null)} onFulfilled={removeFulfilled} />}
     </div>
   );
 }
 
-const thStyle = { padding: '10px 12px', textAlign: 'left', fontSize: 11, color: '#6B7280', fontWeight: 600, whiteSpace: 'nowrap' };
-const tdStyle = { padding: '10px 12px', verticalAlign: 'top' };
-
 ReactDOM.createRoot(document.getElementById('root')).render(<App />);
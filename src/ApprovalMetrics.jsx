@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, Cell } from 'recharts';
+import { C, thStyle, tdStyle, pill } from './theme.js';
+
+const FUNNEL_STAGES = [
+  { key: 'placed', label: 'Placed', color: C.gray },
+  { key: 'reviewed', label: 'Reviewed', color: C.blue },
+  { key: 'approved', label: 'Approved', color: C.green },
+  { key: 'fulfilled', label: 'Fulfilled', color: C.accent },
+];
+
+// Order-to-approval lead time and prescription funnel for the dashboard's metrics range
+export default function ApprovalMetrics({ range }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [businessHours, setBusinessHours] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    fetch(`/api/approval-metrics?${new URLSearchParams(range)}`)
+      .then(r => r.json())
+      .then(d => {
+        if (d.error) setError(d.error);
+        else setData(d);
+      })
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false));
+  }, [range]);
+
+  const clock = businessHours ? 'businessLeadTime' : 'leadTime';
+  const leadData = (data?.days || [])
+    .filter(d => d[clock].samples > 0)
+    .map(d => ({ date: d.date, p50: d[clock].p50, p90: d[clock].p90, samples: d[clock].samples }));
+  const overall = data?.[clock];
+  const funnelData = FUNNEL_STAGES.map(s => ({ ...s, count: data?.funnel?.[s.key] || 0 }));
+
+  const placeholder = (
+    <div style={{ height: 200, display: 'flex', alignItems: 'center', justifyContent: 'center', color: error ? C.red : C.gray, fontSize: 13 }}>
+      {error || (loading ? 'Loading metrics...' : 'No data yet')}
+    </div>
+  );
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginBottom: 20 }}>
+      {/* Order to Approval Lead Time */}
+      <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}` }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 4 }}>
+          <div style={{ fontSize: 14, fontWeight: 600, color: C.dark }}>Order to Approval</div>
+          {overall?.samples > 0 && (
+            <div style={{ textAlign: 'right' }}>
+              <div style={{ fontSize: 20, fontWeight: 700, color: C.dark }}>{overall.p50}h</div>
+              <div style={{ fontSize: 11, color: C.gray }}>median · p90 {overall.p90}h · {overall.samples} orders</div>
+            </div>
+          )}
+        </div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+          <div style={{ fontSize: 11, color: C.gray }}>Hours from payment to approved_to_ship, by approval day</div>
+          <button onClick={() => setBusinessHours(!businessHours)} style={pill(businessHours)}>
+            Business hours
+          </button>
+        </div>
+        {leadData.length > 0 ? (
+          <ResponsiveContainer width="100%" height={200}>
+            <LineChart data={leadData}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.beige} />
+              <XAxis dataKey="date" tick={{ fontSize: 10, fill: C.gray }} tickFormatter={v => v.slice(5)} />
+              <YAxis tick={{ fontSize: 10, fill: C.gray }} unit="h" />
+              <Tooltip contentStyle={{ fontSize: 12, borderRadius: 8 }} formatter={(v) => `${v}h`} labelFormatter={(v) => v} />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              <Line type="monotone" dataKey="p50" stroke={C.accent} strokeWidth={2} dot={{ r: 3, fill: C.accent }} name="P50" />
+              <Line type="monotone" dataKey="p90" stroke={C.yellow} strokeWidth={2} dot={{ r: 2 }} name="P90" />
+            </LineChart>
+          </ResponsiveContainer>
+        ) : placeholder}
+      </div>
+
+      {/* Prescription Funnel */}
+      <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}` }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 4 }}>
+          <div style={{ fontSize: 14, fontWeight: 600, color: C.dark }}>Prescription Funnel</div>
+          {data?.funnel && (
+            <div style={{ textAlign: 'right' }}>
+              <div style={{ fontSize: 20, fontWeight: 700, color: C.dark }}>
+                {data.funnel.placed > 0 ? Math.round((data.funnel.approved / data.funnel.placed) * 100) : 0}%
+              </div>
+              <div style={{ fontSize: 11, color: C.gray }}>approved · {data.funnel.rejected} rejected · {data.funnel.onHold} on hold</div>
+            </div>
+          )}
+        </div>
+        <div style={{ fontSize: 11, color: C.gray, marginBottom: 12 }}>Orders placed in the range, on-hold prescriptions included</div>
+        {data?.funnel?.placed > 0 ? (
+          <>
+            <ResponsiveContainer width="100%" height={120}>
+              <BarChart data={funnelData} layout="vertical" margin={{ left: 10 }}>
+                <XAxis type="number" hide />
+                <YAxis type="category" dataKey="label" tick={{ fontSize: 11, fill: C.gray }} width={70} />
+                <Tooltip contentStyle={{ fontSize: 12, borderRadius: 8 }} formatter={(v) => [v, 'Orders']} />
+                <Bar dataKey="count" radius={[0, 4, 4, 0]}>
+                  {funnelData.map(s => <Cell key={s.key} fill={s.color} />)}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+            <div style={{ maxHeight: 160, overflowY: 'auto', marginTop: 8 }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ background: C.cream }}>
+                    <th style={thStyle}>Prescription Status</th>
+                    <th style={{ ...thStyle, textAlign: 'right' }}>Orders</th>
+                    <th style={{ ...thStyle, textAlign: 'right' }}>Approved</th>
+                    <th style={{ ...thStyle, textAlign: 'right' }}>Rejected</th>
+                    <th style={{ ...thStyle, textAlign: 'right' }}>Pending</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.prescriptionStatuses.map(row => (
+                    <tr key={row.status} style={{ borderTop: `1px solid ${C.beige}` }}>
+                      <td style={{ ...tdStyle, fontSize: 12 }}>
+                        {row.status}
+                        {row.onHold && <span style={{ marginLeft: 6, background: '#FEF3C7', color: C.yellow, padding: '1px 6px', borderRadius: 10, fontSize: 10, fontWeight: 600 }}>On hold</span>}
+                      </td>
+                      <td style={{ ...tdStyle, fontSize: 12, textAlign: 'right', fontWeight: 600 }}>{row.count}</td>
+                      <td style={{ ...tdStyle, fontSize: 12, textAlign: 'right', color: C.green }}>{row.approved}</td>
+                      <td style={{ ...tdStyle, fontSize: 12, textAlign: 'right', color: C.red }}>{row.rejected}</td>
+                      <td style={{ ...tdStyle, fontSize: 12, textAlign: 'right', color: C.gray }}>{row.pending}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        ) : placeholder}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { C } from './theme.js';
+
+const RANGES = [30, 90, 180];
+
+// Pending backlog over time, from the cron's daily snapshots (api/backlog-history.js)
+export default function BacklogHistoryChart() {
+  const [days, setDays] = useState(30);
+  const [snapshots, setSnapshots] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setError(null);
+    fetch(`/api/backlog-history?days=${days}`)
+      .then(r => r.json())
+      .then(data => {
+        if (data.error) setError(data.error);
+        else setSnapshots(data.snapshots);
+      })
+      .catch(e => setError(e.message));
+  }, [days]);
+
+  const data = (snapshots || []).map(s => ({
+    date: s.date,
+    approved: s.approved.count,
+    overdue: s.approved.overdue,
+    notApproved: s.notApproved.count,
+    metro: s.approved.metro,
+    provincial: s.approved.provincial,
+    value: s.approved.value + s.notApproved.value,
+    currency: s.currency
+  }));
+  const latest = data[data.length - 1];
+
+  return (
+    <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}`, marginBottom: 20 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 4 }}>
+        <div style={{ fontSize: 14, fontWeight: 600, color: C.dark }}>Backlog Over Time</div>
+        {latest && (
+          <div style={{ textAlign: 'right' }}>
+            <div style={{ fontSize: 20, fontWeight: 700, color: C.dark }}>{latest.approved + latest.notApproved} pending</div>
+            <div style={{ fontSize: 11, color: C.gray }}>
+              {latest.date.slice(5)} · {latest.metro} metro · {latest.provincial} provincial · {latest.currency} {latest.value.toLocaleString()}
+            </div>
+          </div>
+        )}
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+        <div style={{ fontSize: 11, color: C.gray }}>Snapshot taken each morning with the daily email</div>
+        <div style={{ display: 'flex', gap: 6 }}>
+          {RANGES.map(r => (
+            <button key={r} onClick={() => setDays(r)}
+              style={{
+                padding: '4px 12px', borderRadius: 16, fontSize: 11, fontWeight: 600, cursor: 'pointer',
+                border: days === r ? `2px solid ${C.accent}` : `1px solid ${C.beige}`,
+                background: days === r ? '#FDF2EC' : '#fff',
+                color: days === r ? C.accent : C.gray,
+              }}>
+              {r}d
+            </button>
+          ))}
+        </div>
+      </div>
+      {data.length > 0 ? (
+        <ResponsiveContainer width="100%" height={200}>
+          <LineChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" stroke={C.beige} />
+            <XAxis dataKey="date" tick={{ fontSize: 10, fill: C.gray }} tickFormatter={v => v.slice(5)} />
+            <YAxis tick={{ fontSize: 10, fill: C.gray }} allowDecimals={false} />
+            <Tooltip contentStyle={{ fontSize: 12, borderRadius: 8 }} labelFormatter={(v) => v} />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            <Line type="monotone" dataKey="approved" stroke={C.green} strokeWidth={2} dot={{ r: 2 }} name="Approved" />
+            <Line type="monotone" dataKey="overdue" stroke={C.red} strokeWidth={2} dot={{ r: 2 }} name="Overdue" />
+            <Line type="monotone" dataKey="notApproved" stroke={C.gray} strokeWidth={2} strokeDasharray="4 4" dot={false} name="Not Approved" />
+          </LineChart>
+        </ResponsiveContainer>
+      ) : (
+        <div style={{ height: 200, display: 'flex', alignItems: 'center', justifyContent: 'center', color: error ? C.red : C.gray, fontSize: 13 }}>
+          {error || (snapshots === null ? 'Loading history...' : 'No snapshots yet — the first is taken by tomorrow\'s daily email')}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { C, thStyle, tdStyle, inputStyle, WEEKDAYS } from './theme.js';
+import { adminHeaders, forgetAdminToken } from './adminToken.js';
+
+const CLOSURE_LABELS = {
+  regular_holiday: 'Regular Holiday',
+  special_holiday: 'Special Holiday',
+  warehouse_closure: 'Warehouse Closure',
+  no_dispatch: 'No Dispatch',
+};
+
+// Editor for the working-day calendar used by cutoffs, overdue and metrics
+export default function CalendarSettings({ onSaved }) {
+  const [calendar, setCalendar] = useState(null);
+  const [draft, setDraft] = useState({ date: '', name: '', type: 'regular_holiday' });
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/calendar')
+      .then(r => r.json())
+      .then(data => {
+        if (data.error) setMessage({ type: 'error', text: data.error });
+        else setCalendar(data);
+      })
+      .catch(e => setMessage({ type: 'error', text: e.message }));
+  }, []);
+
+  const toggleWeekday = (day) => {
+    const off = calendar.weeklyOff.includes(day)
+      ? calendar.weeklyOff.filter(d => d !== day)
+      : [...calendar.weeklyOff, day];
+    setCalendar({ ...calendar, weeklyOff: off });
+  };
+
+  const addClosure = () => {
+    if (!draft.date) return;
+    const closures = [...calendar.closures.filter(c => c.date !== draft.date), { ...draft }]
+      .sort((a, b) => a.date.localeCompare(b.date));
+    setCalendar({ ...calendar, closures });
+    setDraft({ date: '', name: '', type: draft.type });
+  };
+
+  const removeClosure = (date) => {
+    setCalendar({ ...calendar, closures: calendar.closures.filter(c => c.date !== date) });
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const res = await fetch('/api/calendar', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...adminHeaders() },
+        body: JSON.stringify(calendar)
+      });
+      const data = await res.json();
+      if (res.status === 401) forgetAdminToken();
+      if (data.error) {
+        setMessage({ type: 'error', text: data.error });
+      } else {
+        setCalendar(data);
+        setMessage({ type: 'success', text: 'Calendar saved' });
+        onSaved?.();
+      }
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}`, marginBottom: 20 }}>
+      <div style={{ fontSize: 14, fontWeight: 600, color: C.dark, marginBottom: 4 }}>Working-Day Calendar</div>
+      <div style={{ fontSize: 11, color: C.gray, marginBottom: 16 }}>
+        Non-working days have no cutoff: orders roll to the next working day and the day is left out of metrics.
+      </div>
+
+      {message && (
+        <div style={{
+          padding: '10px 14px', borderRadius: 8, marginBottom: 12, fontSize: 13,
+          background: message.type === 'error' ? '#FEE2E2' : '#D1FAE5',
+          color: message.type === 'error' ? C.red : C.green
+        }}>{message.text}</div>
+      )}
+
+      {!calendar ? (
+        <div style={{ color: C.gray, fontSize: 13 }}>Loading calendar...</div>
+      ) : (
+        <>
+          <div style={{ fontSize: 12, color: C.gray, marginBottom: 6 }}>Weekly rest days</div>
+          <div style={{ display: 'flex', gap: 6, marginBottom: 20 }}>
+            {WEEKDAYS.map((label, day) => {
+              const off = calendar.weeklyOff.includes(day);
+              return (
+                <button key={day} onClick={() => toggleWeekday(day)}
+                  style={{
+                    padding: '4px 12px', borderRadius: 16, fontSize: 11, fontWeight: 600, cursor: 'pointer',
+                    border: off ? `2px solid ${C.red}` : `1px solid ${C.beige}`,
+                    background: off ? '#FEE2E2' : '#fff',
+                    color: off ? C.red : C.gray,
+                  }}>
+                  {label}
+                </button>
+              );
+            })}
+          </div>
+
+          <div style={{ fontSize: 12, color: C.gray, marginBottom: 6 }}>Warehouse hours (for business-hours ship time)</div>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 20 }}>
+            <input type="time" value={calendar.hours.start} onChange={e => setCalendar({ ...calendar, hours: { ...calendar.hours, start: e.target.value } })} style={inputStyle} />
+            <span style={{ fontSize: 12, color: C.gray }}>to</span>
+            <input type="time" value={calendar.hours.end} onChange={e => setCalendar({ ...calendar, hours: { ...calendar.hours, end: e.target.value } })} style={inputStyle} />
+          </div>
+
+          <div style={{ fontSize: 12, color: C.gray, marginBottom: 6 }}>Holidays and closures</div>
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 12 }}>
+            <input type="date" value={draft.date} onChange={e => setDraft({ ...draft, date: e.target.value })} style={inputStyle} />
+            <input placeholder="Name (e.g. Independence Day)" value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} style={{ ...inputStyle, flex: 1, minWidth: 180 }} />
+            <select value={draft.type} onChange={e => setDraft({ ...draft, type: e.target.value })} style={inputStyle}>
+              {Object.entries(CLOSURE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <button onClick={addClosure} disabled={!draft.date}
+              style={{
+                padding: '8px 16px', borderRadius: 8, border: `1px solid ${C.beige}`, background: C.cream,
+                color: C.dark, fontWeight: 500, fontSize: 13,
+                cursor: draft.date ? 'pointer' : 'not-allowed', opacity: draft.date ? 1 : 0.6
+              }}>
+              + Add
+            </button>
+          </div>
+
+          {calendar.closures.length > 0 ? (
+            <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: 16 }}>
+              <thead>
+                <tr style={{ background: C.cream }}>
+                  <th style={thStyle}>Date</th>
+                  <th style={thStyle}>Name</th>
+                  <th style={thStyle}>Type</th>
+                  <th style={thStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {calendar.closures.map(c => (
+                  <tr key={c.date} style={{ borderTop: `1px solid ${C.beige}` }}>
+                    <td style={{ ...tdStyle, fontSize: 13 }}>
+                      {c.date} <span style={{ color: C.gray, fontSize: 11 }}>{WEEKDAYS[new Date(`${c.date}T00:00:00Z`).getUTCDay()]}</span>
+                    </td>
+                    <td style={{ ...tdStyle, fontSize: 13 }}>{c.name || <span style={{ color: C.gray }}>—</span>}</td>
+                    <td style={{ ...tdStyle, fontSize: 12, color: C.gray }}>{CLOSURE_LABELS[c.type] || c.type}</td>
+                    <td style={{ ...tdStyle, textAlign: 'right' }}>
+                      <button onClick={() => removeClosure(c.date)}
+                        style={{ border: 'none', background: 'none', color: C.red, cursor: 'pointer', fontSize: 12 }}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div style={{ fontSize: 13, color: C.gray, marginBottom: 16 }}>No holidays or closures yet</div>
+          )}
+
+          <button onClick={save} disabled={saving}
+            style={{
+              padding: '10px 20px', borderRadius: 8, border: 'none',
+              background: C.accent, color: '#fff', fontWeight: 600, fontSize: 14,
+              cursor: saving ? 'not-allowed' : 'pointer', opacity: saving ? 0.6 : 1
+            }}>
+            {saving ? 'Saving...' : 'Save Calendar'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
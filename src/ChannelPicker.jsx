@@ -0,0 +1,39 @@
+import React from 'react';
+import { C, inputStyle, pill } from './theme.js';
+
+// Same types as api/_lib/notifiers.js
+const CHANNELS = [
+  { type: 'email', label: 'Email' },
+  { type: 'slack', label: 'Slack', placeholder: 'https://hooks.slack.com/services/...' },
+  { type: 'google_chat', label: 'Google Chat', placeholder: 'https://chat.googleapis.com/v1/spaces/.../messages?key=...' },
+];
+
+const fieldInput = { ...inputStyle, padding: '6px 8px', fontSize: 12, width: '100%', boxSizing: 'border-box' };
+
+// Where a report or reminder goes: email to the To/CC lists and/or chat incoming webhooks
+export default function ChannelPicker({ channels, onChange }) {
+  const find = (type) => channels.find(c => c.type === type);
+
+  const toggle = (type) => {
+    onChange(find(type) ? channels.filter(c => c.type !== type) : [...channels, { type, ...(type !== 'email' && { webhookUrl: '' }) }]);
+  };
+
+  const setWebhook = (type, webhookUrl) => onChange(channels.map(c => c.type === type ? { ...c, webhookUrl } : c));
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+        {CHANNELS.map(({ type, label }) => (
+          <button key={type} onClick={() => toggle(type)} style={pill(!!find(type))}>{label}</button>
+        ))}
+      </div>
+      {CHANNELS.filter(c => c.type !== 'email' && find(c.type)).map(({ type, label, placeholder }) => (
+        <div key={type} style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8 }}>
+          <div style={{ fontSize: 11, color: C.gray, width: 80, flexShrink: 0 }}>{label} webhook</div>
+          <input value={find(type).webhookUrl || ''} placeholder={placeholder}
+            onChange={e => setWebhook(type, e.target.value)} style={fieldInput} />
+        </div>
+      ))}
+    </div>
+  );
+}
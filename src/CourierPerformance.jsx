@@ -0,0 +1,65 @@
+import React from 'react';
+import { C, thStyle, tdStyle } from './theme.js';
+
+const hours = (stat) => stat?.samples > 0 ? `${stat.p50}h` : <span style={{ color: C.gray }}>—</span>;
+
+// Per-courier volume, ship time and in-transit time from /api/metrics. Clicking a row
+// narrows the dashboard charts to that courier.
+export default function CourierPerformance({ couriers, selected, onSelect }) {
+  if (!couriers?.length) return null;
+
+  return (
+    <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}`, marginBottom: 20 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 4 }}>
+        <div style={{ fontSize: 14, fontWeight: 600, color: C.dark }}>Courier Performance</div>
+        {selected && (
+          <button onClick={() => onSelect(null)}
+            style={{ border: 'none', background: 'none', color: C.accent, cursor: 'pointer', fontSize: 12, fontWeight: 600 }}>
+            Show all couriers
+          </button>
+        )}
+      </div>
+      <div style={{ fontSize: 11, color: C.gray, marginBottom: 12 }}>
+        Medians over the selected range · Transit is shipped to delivered, where Shopify has the delivery event · Click a courier to filter the charts
+      </div>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ background: C.cream }}>
+              <th style={thStyle}>Courier</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Fulfilled</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Shipments</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Ship Time</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Transit</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Transit P90</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Metro Transit</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Provincial Transit</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Delivered</th>
+            </tr>
+          </thead>
+          <tbody>
+            {couriers.map(c => {
+              const active = selected === c.courier;
+              return (
+                <tr key={c.courier} onClick={() => onSelect(active ? null : c.courier)}
+                  style={{ borderTop: `1px solid ${C.beige}`, cursor: 'pointer', background: active ? '#FDF2EC' : 'transparent' }}>
+                  <td style={{ ...tdStyle, fontSize: 13, fontWeight: 600, color: active ? C.accent : C.dark }}>{c.courier}</td>
+                  <td style={{ ...tdStyle, fontSize: 13, textAlign: 'right' }}>{c.fulfilled}</td>
+                  <td style={{ ...tdStyle, fontSize: 13, textAlign: 'right' }}>{c.shipments}</td>
+                  <td style={{ ...tdStyle, fontSize: 13, textAlign: 'right' }}>{hours(c.shipTime)}</td>
+                  <td style={{ ...tdStyle, fontSize: 13, textAlign: 'right', fontWeight: 600 }}>{hours(c.transitTime)}</td>
+                  <td style={{ ...tdStyle, fontSize: 13, textAlign: 'right' }}>
+                    {c.transitTime.samples > 0 ? `${c.transitTime.p90}h` : <span style={{ color: C.gray }}>—</span>}
+                  </td>
+                  <td style={{ ...tdStyle, fontSize: 13, textAlign: 'right' }}>{hours(c.metroTransitTime)}</td>
+                  <td style={{ ...tdStyle, fontSize: 13, textAlign: 'right' }}>{hours(c.provincialTransitTime)}</td>
+                  <td style={{ ...tdStyle, fontSize: 12, textAlign: 'right', color: C.gray }}>{c.transitTime.samples}/{c.shipments}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
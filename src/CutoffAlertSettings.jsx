@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { C, inputStyle } from './theme.js';
+import ChannelPicker from './ChannelPicker.jsx';
+import { adminHeaders, forgetAdminToken } from './adminToken.js';
+
+const LEAD_OPTIONS = [15, 30, 45, 60, 90, 120];
+
+const toForm = (settings) => ({ ...settings, to: settings.to.join(', '), cc: settings.cc.join(', ') });
+
+const splitEmails = (text) => text.split(/[,\s]+/).map(v => v.trim()).filter(Boolean);
+
+const fieldInput = { ...inputStyle, padding: '6px 8px', fontSize: 12, width: '100%', boxSizing: 'border-box' };
+const label = { fontSize: 11, color: C.gray, marginBottom: 4 };
+
+// Who gets the reminder before each courier cutoff, where, and how far ahead
+export default function CutoffAlertSettings() {
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/cutoff-alerts')
+      .then(r => r.json())
+      .then(data => {
+        if (data.error) setMessage({ type: 'error', text: data.error });
+        else setForm(toForm(data.settings));
+      })
+      .catch(e => setMessage({ type: 'error', text: e.message }));
+  }, []);
+
+  const update = (patch) => setForm({ ...form, ...patch });
+
+  const save = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const res = await fetch('/api/cutoff-alerts', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...adminHeaders() },
+        body: JSON.stringify({ settings: { ...form, to: splitEmails(form.to), cc: splitEmails(form.cc) } })
+      });
+      const data = await res.json();
+      if (res.status === 401) forgetAdminToken();
+      if (data.error) {
+        setMessage({ type: 'error', text: data.error });
+      } else {
+        setForm(toForm(data.settings));
+        setMessage({ type: 'success', text: 'Cutoff reminders saved' });
+      }
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}`, marginBottom: 20 }}>
+      <div style={{ fontSize: 14, fontWeight: 600, color: C.dark, marginBottom: 4 }}>Cutoff Reminders</div>
+      <div style={{ fontSize: 11, color: C.gray, marginBottom: 16 }}>
+        Before each courier cutoff on working days, lists the Ship Today and overdue orders for that cutoff that haven't shipped. Nothing is sent when they're all out.
+      </div>
+
+      {message && (
+        <div style={{
+          padding: '10px 14px', borderRadius: 8, marginBottom: 12, fontSize: 13,
+          background: message.type === 'error' ? '#FEE2E2' : '#D1FAE5',
+          color: message.type === 'error' ? C.red : C.green
+        }}>{message.text}</div>
+      )}
+
+      {!form ? (
+        <div style={{ color: C.gray, fontSize: 13 }}>Loading settings...</div>
+      ) : (
+        <>
+          <div style={{ display: 'flex', gap: 20, alignItems: 'flex-end', marginBottom: 12, flexWrap: 'wrap' }}>
+            <label style={{ fontSize: 12, color: C.dark, display: 'flex', alignItems: 'center', gap: 4 }}>
+              <input type="checkbox" checked={form.enabled} onChange={e => update({ enabled: e.target.checked })} />
+              Enabled
+            </label>
+            <div>
+              <div style={label}>Send</div>
+              <select value={form.leadMinutes} onChange={e => update({ leadMinutes: Number(e.target.value) })} style={{ ...fieldInput, width: 'auto' }}>
+                {LEAD_OPTIONS.map(m => <option key={m} value={m}>{m < 60 ? `${m} min` : `${m / 60}h`} before cutoff</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div style={label}>Send to</div>
+          <div style={{ marginBottom: 12 }}>
+            <ChannelPicker channels={form.channels} onChange={channels => update({ channels })} />
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 16 }}>
+            <div>
+              <div style={label}>To</div>
+              <input value={form.to} placeholder="name@andyou.ph, ..." onChange={e => update({ to: e.target.value })} style={fieldInput} />
+            </div>
+            <div>
+              <div style={label}>CC</div>
+              <input value={form.cc} placeholder="—" onChange={e => update({ cc: e.target.value })} style={fieldInput} />
+            </div>
+          </div>
+
+          <button onClick={save} disabled={saving}
+            style={{
+              padding: '10px 20px', borderRadius: 8, border: 'none',
+              background: C.accent, color: '#fff', fontWeight: 600, fontSize: 14,
+              cursor: saving ? 'not-allowed' : 'pointer', opacity: saving ? 0.6 : 1
+            }}>
+            {saving ? 'Saving...' : 'Save Reminders'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import { C, thStyle, tdStyle, inputStyle, WEEKDAYS } from './theme.js';
+import { adminHeaders, forgetAdminToken } from './adminToken.js';
+
+const MATCH_FIELDS = [
+  { key: 'provinces', label: 'Provinces' },
+  { key: 'cities', label: 'Cities' },
+  { key: 'zips', label: 'Zip prefixes' },
+  { key: 'tags', label: 'Tags' },
+];
+
+// Match lists are edited as comma-separated text and split on save
+const toForm = (rule) => ({
+  ...rule,
+  ...Object.fromEntries(MATCH_FIELDS.map(f => [f.key, (rule.match?.[f.key] || []).join(', ')])),
+});
+
+const fromForm = (form) => ({
+  id: form.id,
+  name: form.name,
+  cutoff: form.cutoff,
+  courier: form.courier,
+  weekdays: form.weekdays,
+  match: Object.fromEntries(MATCH_FIELDS.map(f => [f.key, form[f.key].split(',').map(v => v.trim()).filter(Boolean)])),
+});
+
+const cellInput = { ...inputStyle, padding: '6px 8px', fontSize: 12, width: '100%', boxSizing: 'border-box' };
+
+// Editor for the region × weekday cutoff rule table (first match wins)
+export default function CutoffRulesSettings({ onSaved }) {
+  const [rules, setRules] = useState(null);
+  const [defaults, setDefaults] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/cutoff-rules')
+      .then(r => r.json())
+      .then(data => {
+        if (data.error) setMessage({ type: 'error', text: data.error });
+        else {
+          setRules(data.rules.map(toForm));
+          setDefaults(data.defaults || []);
+        }
+      })
+      .catch(e => setMessage({ type: 'error', text: e.message }));
+  }, []);
+
+  const update = (i, patch) => setRules(rules.map((r, j) => j === i ? { ...r, ...patch } : r));
+
+  const toggleWeekday = (i, day) => {
+    const weekdays = rules[i].weekdays.includes(day)
+      ? rules[i].weekdays.filter(d => d !== day)
+      : [...rules[i].weekdays, day];
+    update(i, { weekdays });
+  };
+
+  const move = (i, delta) => {
+    const j = i + delta;
+    if (j < 0 || j >= rules.length) return;
+    const next = [...rules];
+    [next[i], next[j]] = [next[j], next[i]];
+    setRules(next);
+  };
+
+  const addRule = () => {
+    setRules([...rules, toForm({ id: '', name: '', match: {}, weekdays: [], cutoff: '15:00', courier: '' })]);
+  };
+
+  const removeRule = (i) => setRules(rules.filter((_, j) => j !== i));
+
+  const save = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const res = await fetch('/api/cutoff-rules', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...adminHeaders() },
+        body: JSON.stringify({ rules: rules.map(fromForm) })
+      });
+      const data = await res.json();
+      if (res.status === 401) forgetAdminToken();
+      if (data.error) {
+        setMessage({ type: 'error', text: data.error });
+      } else {
+        setRules(data.rules.map(toForm));
+        setMessage({ type: 'success', text: 'Cutoff rules saved' });
+        onSaved?.();
+      }
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    }
+    setSaving(false);
+  };
+
+  const smallButton = { border: 'none', background: 'none', cursor: 'pointer', fontSize: 12, padding: '2px 4px' };
+
+  return (
+    <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}`, marginBottom: 20 }}>
+      <div style={{ fontSize: 14, fontWeight: 600, color: C.dark, marginBottom: 4 }}>Courier Cutoff Rules</div>
+      <div style={{ fontSize: 11, color: C.gray, marginBottom: 16 }}>
+        Checked top to bottom, first match wins. A rule matches any listed province, city, zip prefix or tag; leave all blank to match every order. No weekdays selected = every day.
+      </div>
+
+      {message && (
+        <div style={{
+          padding: '10px 14px', borderRadius: 8, marginBottom: 12, fontSize: 13,
+          background: message.type === 'error' ? '#FEE2E2' : '#D1FAE5',
+          color: message.type === 'error' ? C.red : C.green
+        }}>{message.text}</div>
+      )}
+
+      {!rules ? (
+        <div style={{ color: C.gray, fontSize: 13 }}>Loading rules...</div>
+      ) : (
+        <>
+          <div style={{ overflowX: 'auto', marginBottom: 16 }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: C.cream }}>
+                  <th style={thStyle}>#</th>
+                  <th style={thStyle}>Name</th>
+                  {MATCH_FIELDS.map(f => <th key={f.key} style={thStyle}>{f.label}</th>)}
+                  <th style={thStyle}>Weekdays</th>
+                  <th style={thStyle}>Cutoff</th>
+                  <th style={thStyle}>Courier</th>
+                  <th style={thStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map((r, i) => (
+                  <tr key={i} style={{ borderTop: `1px solid ${C.beige}` }}>
+                    <td style={{ ...tdStyle, fontSize: 12, color: C.gray }}>{i + 1}</td>
+                    <td style={{ ...tdStyle, minWidth: 110 }}>
+                      <input value={r.name} onChange={e => update(i, { name: e.target.value })} style={cellInput} />
+                    </td>
+                    {MATCH_FIELDS.map(f => (
+                      <td key={f.key} style={{ ...tdStyle, minWidth: 100 }}>
+                        <input value={r[f.key]} placeholder="any" onChange={e => update(i, { [f.key]: e.target.value })} style={cellInput} />
+                      </td>
+                    ))}
+                    <td style={{ ...tdStyle, whiteSpace: 'nowrap' }}>
+                      {WEEKDAYS.map((label, day) => {
+                        const on = r.weekdays.includes(day);
+                        return (
+                          <button key={day} onClick={() => toggleWeekday(i, day)} title={label}
+                            style={{
+                              width: 22, height: 22, marginRight: 2, borderRadius: 11, fontSize: 10, fontWeight: 600, cursor: 'pointer',
+                              border: on ? `2px solid ${C.accent}` : `1px solid ${C.beige}`,
+                              background: on ? '#FDF2EC' : '#fff',
+                              color: on ? C.accent : C.gray,
+                            }}>
+                            {label[0]}
+                          </button>
+                        );
+                      })}
+                    </td>
+                    <td style={tdStyle}>
+                      <input type="time" value={r.cutoff} onChange={e => update(i, { cutoff: e.target.value })} style={cellInput} />
+                    </td>
+                    <td style={{ ...tdStyle, minWidth: 100 }}>
+                      <input value={r.courier} placeholder="—" onChange={e => update(i, { courier: e.target.value })} style={cellInput} />
+                    </td>
+                    <td style={{ ...tdStyle, whiteSpace: 'nowrap' }}>
+                      <button onClick={() => move(i, -1)} disabled={i === 0} style={{ ...smallButton, color: C.gray }}>↑</button>
+                      <button onClick={() => move(i, 1)} disabled={i === rules.length - 1} style={{ ...smallButton, color: C.gray }}>↓</button>
+                      <button onClick={() => removeRule(i)} style={{ ...smallButton, color: C.red }}>Remove</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button onClick={save} disabled={saving}
+              style={{
+                padding: '10px 20px', borderRadius: 8, border: 'none',
+                background: C.accent, color: '#fff', fontWeight: 600, fontSize: 14,
+                cursor: saving ? 'not-allowed' : 'pointer', opacity: saving ? 0.6 : 1
+              }}>
+              {saving ? 'Saving...' : 'Save Rules'}
+            </button>
+            <button onClick={addRule}
+              style={{
+                padding: '10px 16px', borderRadius: 8, border: `1px solid ${C.beige}`, background: C.cream,
+                color: C.dark, fontWeight: 500, fontSize: 13, cursor: 'pointer'
+              }}>
+              + Add Rule
+            </button>
+            <button onClick={() => setRules(defaults.map(toForm))}
+              style={{
+                padding: '10px 16px', borderRadius: 8, border: `1px solid ${C.beige}`, background: '#fff',
+                color: C.gray, fontWeight: 500, fontSize: 13, cursor: 'pointer'
+              }}>
+              Reset to defaults
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
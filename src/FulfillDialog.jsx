@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { C, thStyle, tdStyle, inputStyle } from './theme.js';
+import { adminHeaders, forgetAdminToken } from './adminToken.js';
+
+const normalizeName = (name) => String(name || '').trim().replace(/^#/, '').toLowerCase();
+
+// "order, tracking, courier" per line — comma or tab separated (pasted from a sheet or a CSV export)
+const parseTrackingLines = (text) => text
+  .split(/\r?\n/)
+  .map(line => line.split(/\t|,/).map(c => c.trim().replace(/^"|"$/g, '').trim()))
+  .filter(cols => cols[0] && cols[1])
+  .map(([order, trackingNumber, company]) => ({ order, trackingNumber, company: company || '' }));
+
+// Modal for fulfilling the selected approved orders with tracking numbers in one action
+export default function FulfillDialog({ orders, onClose, onFulfilled }) {
+  const [rows, setRows] = useState(() => orders.map(o => ({ id: o.id, name: o.name, trackingNumber: '', company: o.courier || '' })));
+  const [pasted, setPasted] = useState('');
+  const [notifyCustomer, setNotifyCustomer] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [results, setResults] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape' && !submitting) onClose(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose, submitting]);
+
+  const updateRow = (id, patch) => setRows(rows.map(r => r.id === id ? { ...r, ...patch } : r));
+
+  const applyLines = (text) => {
+    const byName = new Map(parseTrackingLines(text).map(l => [normalizeName(l.order), l]));
+    let matched = 0;
+    setRows(rows.map(r => {
+      const line = byName.get(normalizeName(r.name));
+      if (!line) return r;
+      matched++;
+      byName.delete(normalizeName(r.name));
+      return { ...r, trackingNumber: line.trackingNumber, company: line.company || r.company };
+    }));
+    // Header rows and orders that weren't selected end up here
+    const unmatched = [...byName.values()].filter(l => /\d/.test(l.trackingNumber));
+    setMessage(unmatched.length === 0
+      ? { type: 'success', text: `Matched ${matched} order${matched === 1 ? '' : 's'}` }
+      : { type: 'error', text: `Matched ${matched}; not in selection: ${unmatched.map(l => l.order).join(', ')}` });
+  };
+
+  const uploadFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setPasted(text);
+    applyLines(text);
+    e.target.value = '';
+  };
+
+  const ready = rows.filter(r => r.trackingNumber.trim());
+  const resultFor = (id) => results?.find(r => r.id === id);
+
+  const submit = async () => {
+    if (ready.length === 0) return;
+    if (ready.length < rows.length && !window.confirm(`${rows.length - ready.length} order(s) have no tracking number and will be skipped. Continue?`)) return;
+    setSubmitting(true);
+    setMessage(null);
+    try {
+      const res = await fetch('/api/fulfill', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...adminHeaders() },
+        body: JSON.stringify({
+          items: ready.map(r => ({ orderId: r.id, trackingNumber: r.trackingNumber.trim(), company: r.company.trim() })),
+          notifyCustomer
+        })
+      });
+      const data = await res.json();
+      if (res.status === 401) forgetAdminToken();
+      if (data.error) {
+        setMessage({ type: 'error', text: data.error });
+      } else {
+        setResults(data.results);
+        setMessage(data.failed === 0
+          ? { type: 'success', text: `Fulfilled ${data.fulfilled} order${data.fulfilled === 1 ? '' : 's'}` }
+          : { type: 'error', text: `${data.fulfilled} fulfilled, ${data.failed} failed — see below` });
+        const okIds = data.results.filter(r => r.ok).map(r => r.id);
+        if (okIds.length > 0) onFulfilled(okIds);
+        // Only failed orders stay in the dialog for another try
+        setRows(rows.filter(r => !okIds.includes(r.id)));
+      }
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <>
+      <div onClick={() => !submitting && onClose()} style={{ position: 'fixed', inset: 0, background: 'rgba(16, 19, 18, 0.3)', zIndex: 10 }} />
+      <div style={{
+        position: 'fixed', top: '5vh', left: '50%', transform: 'translateX(-50%)', width: 720, maxWidth: '95vw', maxHeight: '90vh',
+        background: '#fff', borderRadius: 12, zIndex: 11, overflowY: 'auto', boxShadow: '0 8px 24px rgba(0,0,0,0.12)',
+        fontFamily: "'DM Sans', sans-serif"
+      }}>
+        <div style={{
+          padding: '16px 20px', borderBottom: `1px solid ${C.beige}`, position: 'sticky', top: 0, background: '#fff',
+          display: 'flex', alignItems: 'center', justifyContent: 'space-between', zIndex: 2
+        }}>
+          <div>
+            <div style={{ fontSize: 16, fontWeight: 600, color: C.dark }}>Fulfill {orders.length} order{orders.length === 1 ? '' : 's'}</div>
+            <div style={{ fontSize: 12, color: C.gray }}>Creates a Shopify fulfillment with tracking for each order</div>
+          </div>
+          <button onClick={onClose} disabled={submitting} aria-label="Close"
+            style={{ border: 'none', background: 'none', fontSize: 20, color: C.gray, cursor: 'pointer' }}>×</button>
+        </div>
+
+        <div style={{ padding: 20 }}>
+          {message && (
+            <div style={{
+              padding: '10px 14px', borderRadius: 8, marginBottom: 16, fontSize: 13,
+              background: message.type === 'error' ? '#FEE2E2' : '#D1FAE5',
+              color: message.type === 'error' ? C.red : C.green
+            }}>{message.text}</div>
+          )}
+
+          <div style={{ fontSize: 12, color: C.gray, marginBottom: 6 }}>
+            Paste lines of <code>order, tracking number, courier</code> (comma or tab separated) or upload a CSV
+          </div>
+          <textarea value={pasted} onChange={e => setPasted(e.target.value)} rows={4}
+            placeholder={'#1001, 7701234567, LBC\n#1002\t8809876543\tJ&T'}
+            style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: 12, resize: 'vertical' }} />
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 8, marginBottom: 16 }}>
+            <button onClick={() => applyLines(pasted)} disabled={!pasted.trim()}
+              style={{
+                padding: '6px 14px', borderRadius: 8, border: `1px solid ${C.beige}`, background: C.cream,
+                color: C.dark, fontWeight: 500, fontSize: 13, cursor: pasted.trim() ? 'pointer' : 'not-allowed'
+              }}>
+              Apply to orders
+            </button>
+            <label style={{
+              padding: '6px 14px', borderRadius: 8, border: `1px solid ${C.beige}`, background: '#fff',
+              color: C.dark, fontWeight: 500, fontSize: 13, cursor: 'pointer'
+            }}>
+              ⬆️ Upload CSV
+              <input type="file" accept=".csv,.txt,text/csv" onChange={uploadFile} style={{ display: 'none' }} />
+            </label>
+          </div>
+
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: C.cream }}>
+                <th style={thStyle}>Order</th>
+                <th style={thStyle}>Tracking Number</th>
+                <th style={thStyle}>Courier</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, i) => {
+                const result = resultFor(r.id);
+                return (
+                  <tr key={r.id} style={{ borderTop: i > 0 ? `1px solid ${C.beige}` : 'none' }}>
+                    <td style={{ ...tdStyle, fontWeight: 600, color: C.accent }}>
+                      {r.name}
+                      {result && !result.ok && <div style={{ fontSize: 11, fontWeight: 400, color: C.red }}>{result.error}</div>}
+                    </td>
+                    <td style={tdStyle}>
+                      <input value={r.trackingNumber} onChange={e => updateRow(r.id, { trackingNumber: e.target.value })}
+                        style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', fontFamily: 'monospace' }} />
+                    </td>
+                    <td style={tdStyle}>
+                      <input value={r.company} onChange={e => updateRow(r.id, { company: e.target.value })} placeholder="e.g. LBC"
+                        style={{ ...inputStyle, width: '100%', boxSizing: 'border-box' }} />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {rows.length === 0 && (
+            <div style={{ padding: 24, textAlign: 'center', color: C.green, fontSize: 14 }}>✅ All selected orders fulfilled</div>
+          )}
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 16 }}>
+            <label style={{ fontSize: 13, color: C.dark, display: 'flex', alignItems: 'center', gap: 6 }}>
+              <input type="checkbox" checked={notifyCustomer} onChange={e => setNotifyCustomer(e.target.checked)} />
+              Email shipping confirmation to customers
+            </label>
+            {rows.length > 0 ? (
+              <button onClick={submit} disabled={submitting || ready.length === 0}
+                style={{
+                  padding: '10px 20px', borderRadius: 8, border: 'none',
+                  background: C.accent, color: '#fff', fontWeight: 600, fontSize: 14,
+                  cursor: submitting || ready.length === 0 ? 'not-allowed' : 'pointer',
+                  opacity: submitting || ready.length === 0 ? 0.6 : 1
+                }}>
+                {submitting ? 'Fulfilling...' : `📦 Fulfill ${ready.length}`}
+              </button>
+            ) : (
+              <button onClick={onClose}
+                style={{ padding: '10px 20px', borderRadius: 8, border: `1px solid ${C.beige}`, background: C.cream, color: C.dark, fontWeight: 500, fontSize: 14, cursor: 'pointer' }}>
+                Done
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
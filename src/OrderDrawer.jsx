@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { C, thStyle, tdStyle, SLA_STYLES } from './theme.js';
+
+const formatPHT = (iso, opts = {}) => iso
+  ? new Date(iso).toLocaleString('en-PH', { timeZone: 'Asia/Manila', month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit', ...opts })
+  : '—';
+
+const Section = ({ title, children }) => (
+  <div style={{ marginBottom: 20 }}>
+    <div style={{ fontSize: 11, fontWeight: 600, color: C.gray, textTransform: 'uppercase', letterSpacing: 0.5, marginBottom: 8 }}>{title}</div>
+    {children}
+  </div>
+);
+
+const Row = ({ label, children }) => (
+  <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12, fontSize: 13, padding: '4px 0' }}>
+    <span style={{ color: C.gray }}>{label}</span>
+    <span style={{ color: C.dark, textAlign: 'right', wordBreak: 'break-word' }}>{children}</span>
+  </div>
+);
+
+// Slide-in panel with the full order: every line item, contact, tags, metafields, SLA
+export default function OrderDrawer({ order: summary, onClose }) {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState(null);
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    setDetail(null);
+    setError(null);
+    fetch(`/api/order?id=${encodeURIComponent(summary.id)}`)
+      .then(r => r.json())
+      .then(data => {
+        if (data.error) setError(data.error);
+        else setDetail(data.order);
+      })
+      .catch(e => setError(e.message));
+
+    setHistory(null);
+    fetch(`/api/approval?orderId=${encodeURIComponent(summary.id)}`)
+      .then(r => r.json())
+      .then(data => setHistory(data.entries || []))
+      .catch(() => setHistory([]));
+  }, [summary.id]);
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  // Show what the table already knows while the full order loads
+  const order = detail || summary;
+  const addr = order.shipping_address;
+  const sla = order.sla_bucket ? SLA_STYLES[order.sla_bucket] : null;
+  const customerName = `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim() || 'Guest';
+
+  return (
+    <>
+      <div onClick={onClose} style={{ position: 'fixed', inset: 0, background: 'rgba(16, 19, 18, 0.3)', zIndex: 10 }} />
+      <aside style={{
+        position: 'fixed', top: 0, right: 0, bottom: 0, width: 460, maxWidth: '100vw',
+        background: '#fff', zIndex: 11, overflowY: 'auto', boxShadow: '-8px 0 24px rgba(0,0,0,0.08)',
+        fontFamily: "'DM Sans', sans-serif"
+      }}>
+        <div style={{
+          padding: '16px 20px', borderBottom: `1px solid ${C.beige}`, position: 'sticky', top: 0, background: '#fff',
+          display: 'flex', alignItems: 'center', justifyContent: 'space-between'
+        }}>
+          <div>
+            <div style={{ fontSize: 18, fontWeight: 700, color: C.accent }}>{order.name}</div>
+            <div style={{ fontSize: 12, color: C.gray }}>{formatPHT(order.created_at)}</div>
+          </div>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            {order.admin_url && (
+              <a href={order.admin_url} target="_blank" rel="noopener noreferrer"
+                style={{
+                  padding: '8px 14px', borderRadius: 8, border: `1px solid ${C.beige}`, background: C.cream,
+                  color: C.dark, fontSize: 13, fontWeight: 500, textDecoration: 'none'
+                }}>
+                Open in Shopify ↗
+              </a>
+            )}
+            <button onClick={onClose} aria-label="Close"
+              style={{ border: 'none', background: 'none', fontSize: 20, color: C.gray, cursor: 'pointer' }}>×</button>
+          </div>
+        </div>
+
+        <div style={{ padding: 20 }}>
+          {error && (
+            <div style={{ padding: '10px 14px', borderRadius: 8, marginBottom: 16, fontSize: 13, background: '#FEE2E2', color: C.red }}>{error}</div>
+          )}
+
+          {sla && (
+            <Section title="SLA Status">
+              <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 6 }}>
+                <span style={{ background: sla.bg, color: sla.color, padding: '4px 10px', borderRadius: 12, fontWeight: 600, fontSize: 12 }}>{sla.label}</span>
+                {order.overdue_by != null && <span style={{ fontSize: 13, color: C.red }}>by {order.overdue_by}h</span>}
+              </div>
+              <Row label="Due">{formatPHT(order.due_at)}</Row>
+              <Row label="Cutoff rule">{order.cutoff_rule} · {order.cutoff_time}{order.courier ? ` · ${order.courier}` : ''}</Row>
+            </Section>
+          )}
+
+          <Section title={`Line Items (${order.line_items?.length || 0})`}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: C.cream }}>
+                  <th style={thStyle}>Item</th>
+                  <th style={thStyle}>SKU</th>
+                  <th style={{ ...thStyle, textAlign: 'right' }}>Qty</th>
+                </tr>
+              </thead>
+              <tbody>
+                {order.line_items?.map((item, i) => (
+                  <tr key={i} style={{ borderTop: `1px solid ${C.beige}` }}>
+                    <td style={{ ...tdStyle, fontSize: 13 }}>
+                      {item.title}
+                      {item.variant_title && <div style={{ fontSize: 11, color: C.gray }}>{item.variant_title}</div>}
+                    </td>
+                    <td style={{ ...tdStyle, fontSize: 12, color: C.gray, fontFamily: 'monospace' }}>{item.sku || '—'}</td>
+                    <td style={{ ...tdStyle, fontSize: 13, textAlign: 'right', fontWeight: 600 }}>{item.quantity}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!detail && !error && <div style={{ fontSize: 11, color: C.gray, marginTop: 6 }}>Loading all items...</div>}
+          </Section>
+
+          <Section title="Customer & Contact">
+            <Row label="Name">{customerName}</Row>
+            <Row label="Email">{detail?.contact?.email || order.customer?.email || '—'}</Row>
+            <Row label="Phone">{detail?.contact?.phone || addr?.phone || '—'}</Row>
+          </Section>
+
+          <Section title="Shipping Address">
+            {addr ? (
+              <div style={{ fontSize: 13, color: C.dark, lineHeight: 1.5 }}>
+                {addr.name && <div style={{ fontWeight: 600 }}>{addr.name}</div>}
+                {addr.company && <div>{addr.company}</div>}
+                <div>{addr.address1}</div>
+                {addr.address2 && <div>{addr.address2}</div>}
+                <div>{addr.city}, {addr.province} {addr.zip}</div>
+                {addr.country && <div>{addr.country}</div>}
+                <div style={{ marginTop: 6 }}>
+                  {order.is_provincial
+                    ? <span style={{ background: '#FEF3C7', color: C.yellow, padding: '2px 8px', borderRadius: 12, fontWeight: 600, fontSize: 11 }}>Provincial</span>
+                    : <span style={{ color: C.gray, fontSize: 12 }}>Metro</span>}
+                </div>
+              </div>
+            ) : <div style={{ fontSize: 13, color: C.gray }}>No shipping address</div>}
+          </Section>
+
+          <Section title="Tags">
+            {order.tags?.length > 0 ? (
+              <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                {order.tags.map(t => (
+                  <span key={t} style={{ background: C.cream, border: `1px solid ${C.beige}`, padding: '2px 8px', borderRadius: 12, fontSize: 11, color: C.dark }}>{t}</span>
+                ))}
+              </div>
+            ) : <div style={{ fontSize: 13, color: C.gray }}>No tags</div>}
+          </Section>
+
+          <Section title="Custom Metafields">
+            {detail?.metafields ? detail.metafields.map(m => (
+              <Row key={m.key} label={<span style={{ fontFamily: 'monospace', fontSize: 12 }}>{m.key}</span>}>
+                {m.value ?? <span style={{ color: C.gray }}>—</span>}
+                {m.updated_at && <div style={{ fontSize: 10, color: C.gray }}>updated {formatPHT(m.updated_at)}</div>}
+              </Row>
+            )) : (
+              <>
+                <Row label="Approved to ship">{order.approved_to_ship === true ? 'Yes' : order.approved_to_ship === false ? 'No' : '—'}</Row>
+                <Row label="Preferred delivery">{order.preferred_delivery === true ? 'Yes' : order.preferred_delivery === false ? 'No' : '—'}</Row>
+                <Row label="Delivery date">{order.preferred_delivery_date || '—'}</Row>
+                <Row label="Prescription status">{order.prescription_status || '—'}</Row>
+              </>
+            )}
+          </Section>
+
+          <Section title="Approval History">
+            {history === null ? (
+              <div style={{ fontSize: 13, color: C.gray }}>Loading...</div>
+            ) : history.length === 0 ? (
+              <div style={{ fontSize: 13, color: C.gray }}>No changes made from the dashboard</div>
+            ) : history.map((h, i) => (
+              <div key={i} style={{ fontSize: 12, padding: '4px 0', borderTop: i > 0 ? `1px solid ${C.beige}` : 'none' }}>
+                <span style={{ fontWeight: 600, color: h.to ? C.green : C.red }}>{h.to ? 'Approved' : 'Rejected'}</span>
+                <span style={{ color: C.dark }}> by {h.actor}</span>
+                <span style={{ color: C.gray }}> · {formatPHT(h.at)}</span>
+              </div>
+            ))}
+          </Section>
+
+          {detail?.approval_history?.length > 0 && (
+            <Section title="Approval Timeline">
+              {detail.approval_history.slice().reverse().map((e, i) => (
+                <div key={i} style={{ fontSize: 12, padding: '4px 0', borderTop: i > 0 ? `1px solid ${C.beige}` : 'none' }}>
+                  <span style={{ fontWeight: 600, color: e.approved === true ? C.green : e.approved === false ? C.red : C.gray }}>
+                    {e.approved === true ? 'Approved' : e.approved === false ? 'Rejected' : 'Cleared'}
+                  </span>
+                  <span style={{ color: C.dark }}> {e.actor ? `by ${e.actor}` : `(seen via ${e.source})`}</span>
+                  <span style={{ color: C.gray }}> · {formatPHT(e.at)}</span>
+                </div>
+              ))}
+            </Section>
+          )}
+
+          {detail?.note && (
+            <Section title="Note">
+              <div style={{ fontSize: 13, color: C.dark, whiteSpace: 'pre-wrap' }}>{detail.note}</div>
+            </Section>
+          )}
+
+          <Section title="Payment">
+            <Row label="Total">{order.currency} {parseFloat(order.total_price || 0).toLocaleString()}</Row>
+            {detail?.financial_status && <Row label="Financial status">{detail.financial_status}</Row>}
+            {detail?.fulfillment_status && <Row label="Fulfillment status">{detail.fulfillment_status}</Row>}
+          </Section>
+        </div>
+      </aside>
+    </>
+  );
+}
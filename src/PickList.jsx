@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { C, thStyle, tdStyle } from './theme.js';
+
+const SCOPES = [
+  { key: 'ship_today', label: 'Ship Today' },
+  { key: 'all', label: 'All Approved' },
+];
+
+const escapeHtml = (v) => String(v ?? '').replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+// Sum line items across orders by SKU (items without a SKU are grouped by title)
+export const buildPickList = (orders) => {
+  const rows = new Map();
+  for (const order of orders) {
+    for (const item of order.line_items || []) {
+      // Partially fulfilled orders only need what hasn't shipped yet
+      const quantity = item.unfulfilled_quantity ?? item.quantity;
+      if (quantity === 0) continue;
+      const key = item.sku ? `sku:${item.sku}` : `title:${item.title}`;
+      const row = rows.get(key) || { sku: item.sku || '', title: item.title, quantity: 0, orders: [] };
+      row.quantity += quantity;
+      if (!row.orders.includes(order.name)) row.orders.push(order.name);
+      rows.set(key, row);
+    }
+  }
+  // SKU order keeps shelf walks predictable; SKU-less items go last
+  return [...rows.values()].sort((a, b) =>
+    (!a.sku - !b.sku) || a.sku.localeCompare(b.sku) || a.title.localeCompare(b.title));
+};
+
+// Warehouse pick list for the approved backlog: printable and downloadable as CSV
+export default function PickList({ orders }) {
+  const [scope, setScope] = useState('ship_today');
+
+  const scoped = scope === 'ship_today'
+    ? orders.filter(o => o.sla_bucket === 'overdue' || o.sla_bucket === 'ship_today')
+    : orders;
+  const rows = buildPickList(scoped);
+  const totalUnits = rows.reduce((s, r) => s + r.quantity, 0);
+  const scopeLabel = SCOPES.find(s => s.key === scope).label;
+  const dateLabel = new Date().toLocaleDateString('en-PH', { timeZone: 'Asia/Manila' });
+
+  const downloadCSV = () => {
+    const headers = ['SKU', 'Item', 'Total Qty', 'Orders', 'Order Numbers'];
+    const data = rows.map(r => [r.sku, r.title, r.quantity, r.orders.length, r.orders.join('; ')]);
+    const csv = [headers, ...data].map(r => r.map(c => `"${(c ?? '').toString().replace(/"/g, '""')}"`).join(',')).join('\n');
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `pick-list-${scope}-${dateLabel.replace(/\//g, '-')}.csv`;
+    a.click();
+  };
+
+  // Plain printable page so the dashboard chrome stays off the paper
+  const print = () => {
+    const win = window.open('', '_blank');
+    if (!win) return;
+    win.document.write(`<!doctype html><html><head><title>Pick List ${escapeHtml(dateLabel)}</title>
+      <style>
+        body { font-family: sans-serif; font-size: 12px; margin: 24px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; }
+        td.qty { text-align: right; font-weight: bold; font-size: 14px; }
+        td.check { width: 24px; }
+      </style></head><body>
+      <h2>Pick List · ${escapeHtml(scopeLabel)} · ${escapeHtml(dateLabel)}</h2>
+      <p>${scoped.length} orders · ${rows.length} SKUs · ${totalUnits} units</p>
+      <table>
+        <thead><tr><th></th><th>SKU</th><th>Item</th><th>Qty</th><th>Orders</th></tr></thead>
+        <tbody>${rows.map(r => `<tr><td class="check">☐</td><td>${escapeHtml(r.sku || '—')}</td><td>${escapeHtml(r.title)}</td><td class="qty">${r.quantity}</td><td>${escapeHtml(r.orders.join(', '))}</td></tr>`).join('')}</tbody>
+      </table></body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+
+  return (
+    <div style={{ background: '#fff', borderRadius: 12, border: `1px solid ${C.beige}`, overflow: 'hidden', marginBottom: 20 }}>
+      <div style={{
+        padding: '16px 20px', borderBottom: `1px solid ${C.beige}`,
+        display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 12
+      }}>
+        <div>
+          <div style={{ fontWeight: 600, color: C.dark }}>Pick List ({rows.length} SKUs · {totalUnits} units)</div>
+          <div style={{ fontSize: 11, color: C.gray }}>{scoped.length} approved orders</div>
+        </div>
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+          {SCOPES.map(s => (
+            <button key={s.key} onClick={() => setScope(s.key)}
+              style={{
+                padding: '4px 12px', borderRadius: 16, fontSize: 11, fontWeight: 600, cursor: 'pointer',
+                border: scope === s.key ? `2px solid ${C.accent}` : `1px solid ${C.beige}`,
+                background: scope === s.key ? '#FDF2EC' : '#fff',
+                color: scope === s.key ? C.accent : C.gray,
+              }}>
+              {s.label}
+            </button>
+          ))}
+          <button onClick={print} disabled={rows.length === 0}
+            style={{
+              padding: '6px 14px', borderRadius: 8, border: `1px solid ${C.beige}`, background: C.cream,
+              color: C.dark, fontWeight: 500, fontSize: 13, cursor: rows.length === 0 ? 'not-allowed' : 'pointer'
+            }}>
+            🖨️ Print
+          </button>
+          <button onClick={downloadCSV} disabled={rows.length === 0}
+            style={{
+              padding: '6px 14px', borderRadius: 8, border: `1px solid ${C.beige}`, background: C.cream,
+              color: C.dark, fontWeight: 500, fontSize: 13, cursor: rows.length === 0 ? 'not-allowed' : 'pointer'
+            }}>
+            ⬇️ CSV
+          </button>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div style={{ padding: 40, textAlign: 'center', color: C.gray }}>Nothing to pick</div>
+      ) : (
+        <div style={{ maxHeight: 500, overflowY: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: C.cream, position: 'sticky', top: 0 }}>
+                <th style={thStyle}>SKU</th>
+                <th style={thStyle}>Item</th>
+                <th style={{ ...thStyle, textAlign: 'right' }}>Total Qty</th>
+                <th style={{ ...thStyle, textAlign: 'right' }}>Orders</th>
+                <th style={thStyle}>Order Numbers</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, i) => (
+                <tr key={`${r.sku}|${r.title}`} style={{ borderTop: i > 0 ? `1px solid ${C.beige}` : 'none' }}>
+                  <td style={{ ...tdStyle, fontSize: 12, fontFamily: 'monospace' }}>{r.sku || <span style={{ color: C.gray }}>—</span>}</td>
+                  <td style={{ ...tdStyle, fontSize: 13 }}>{r.title}</td>
+                  <td style={{ ...tdStyle, fontSize: 15, fontWeight: 700, textAlign: 'right', color: C.dark }}>{r.quantity}</td>
+                  <td style={{ ...tdStyle, fontSize: 13, textAlign: 'right' }}>{r.orders.length}</td>
+                  <td style={{ ...tdStyle, fontSize: 11, color: C.gray }}>{r.orders.join(', ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
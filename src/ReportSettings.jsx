@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import { C, inputStyle, pill, WEEKDAYS } from './theme.js';
+import ChannelPicker from './ChannelPicker.jsx';
+import { adminHeaders, forgetAdminToken } from './adminToken.js';
+
+const SECTION_LABELS = {
+  summary: 'Summary tiles',
+  forecast: 'Workload forecast',
+  approved: 'Approved orders',
+  pending: 'Pending approval',
+  attachments: 'CSV attachments',
+};
+
+// Recipient lists are edited as comma-separated text and split on save
+const toForm = (report) => ({ ...report, to: report.to.join(', '), cc: report.cc.join(', ') });
+
+const splitEmails = (text) => text.split(/[,\s]+/).map(v => v.trim()).filter(Boolean);
+
+const fromForm = (form) => ({ ...form, to: splitEmails(form.to), cc: splitEmails(form.cc) });
+
+const fieldInput = { ...inputStyle, padding: '6px 8px', fontSize: 12, width: '100%', boxSizing: 'border-box' };
+const label = { fontSize: 11, color: C.gray, marginBottom: 4 };
+
+const formatPHT = (iso) => new Date(iso).toLocaleString('en-PH', { timeZone: 'Asia/Manila', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// Editor for the scheduled reports: who gets each one and where, when, and what it contains
+export default function ReportSettings() {
+  const [reports, setReports] = useState(null);
+  const [meta, setMeta] = useState({ defaults: [], sections: [], slotMinutes: 15, runs: {} });
+  const [saving, setSaving] = useState(false);
+  const [sendingId, setSendingId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const apply = (data) => {
+    setReports(data.reports.map(toForm));
+    setMeta({ defaults: data.defaults || [], sections: data.sections || [], slotMinutes: data.slotMinutes, runs: data.runs || {} });
+  };
+
+  useEffect(() => {
+    fetch('/api/reports')
+      .then(r => r.json())
+      .then(data => {
+        if (data.error) setMessage({ type: 'error', text: data.error });
+        else apply(data);
+      })
+      .catch(e => setMessage({ type: 'error', text: e.message }));
+  }, []);
+
+  const update = (i, patch) => setReports(reports.map((r, j) => j === i ? { ...r, ...patch } : r));
+  const updateSchedule = (i, patch) => update(i, { schedule: { ...reports[i].schedule, ...patch } });
+
+  const toggleWeekday = (i, day) => {
+    const { weekdays } = reports[i].schedule;
+    updateSchedule(i, { weekdays: weekdays.includes(day) ? weekdays.filter(d => d !== day) : [...weekdays, day] });
+  };
+
+  const toggleSection = (i, section) => {
+    const { sections } = reports[i];
+    update(i, { sections: sections.includes(section) ? sections.filter(s => s !== section) : [...sections, section] });
+  };
+
+  const addReport = () => {
+    setReports([...reports, toForm({
+      id: '', name: '', enabled: true, to: [], cc: [], channels: [{ type: 'email' }],
+      schedule: { time: '08:00', weekdays: [], workingDaysOnly: true },
+      sections: meta.sections
+    })]);
+  };
+
+  const removeReport = (i) => setReports(reports.filter((_, j) => j !== i));
+
+  const save = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const res = await fetch('/api/reports', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...adminHeaders() },
+        body: JSON.stringify({ reports: reports.map(fromForm) })
+      });
+      const data = await res.json();
+      if (res.status === 401) forgetAdminToken();
+      if (data.error) {
+        setMessage({ type: 'error', text: data.error });
+      } else {
+        apply(data);
+        setMessage({ type: 'success', text: 'Reports saved' });
+      }
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    }
+    setSaving(false);
+  };
+
+  // Sends the saved version of the report; unsaved edits don't apply
+  const sendNow = async (report) => {
+    setSendingId(report.id);
+    setMessage(null);
+    try {
+      const res = await fetch('/api/send-email', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reportId: report.id })
+      });
+      const data = await res.json();
+      setMessage(data.error ? { type: 'error', text: data.error } : { type: 'success', text: data.message });
+      if (!data.error) {
+        setMeta(m => ({ ...m, runs: { ...m.runs, [report.id]: { sent_at: new Date().toISOString() } } }));
+      }
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    }
+    setSendingId(null);
+  };
+
+  return (
+    <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}`, marginBottom: 20 }}>
+      <div style={{ fontSize: 14, fontWeight: 600, color: C.dark, marginBottom: 4 }}>Reports</div>
+      <div style={{ fontSize: 11, color: C.gray, marginBottom: 16 }}>
+        Each enabled report is sent at its time (PHT, every {meta.slotMinutes} minutes on the mark) on the selected weekdays. No weekdays selected = every day.
+      </div>
+
+      {message && (
+        <div style={{
+          padding: '10px 14px', borderRadius: 8, marginBottom: 12, fontSize: 13,
+          background: message.type === 'error' ? '#FEE2E2' : '#D1FAE5',
+          color: message.type === 'error' ? C.red : C.green
+        }}>{message.text}</div>
+      )}
+
+      {!reports ? (
+        <div style={{ color: C.gray, fontSize: 13 }}>Loading reports...</div>
+      ) : (
+        <>
+          {reports.length === 0 && (
+            <div style={{ color: C.gray, fontSize: 13, marginBottom: 16 }}>No reports configured; nothing will be sent.</div>
+          )}
+          {reports.map((r, i) => {
+            const lastRun = r.id && meta.runs[r.id];
+            return (
+              <div key={i} style={{ border: `1px solid ${C.beige}`, borderRadius: 8, padding: 14, marginBottom: 12, opacity: r.enabled ? 1 : 0.6 }}>
+                <div style={{ display: 'flex', gap: 12, alignItems: 'center', marginBottom: 12 }}>
+                  <input value={r.name} placeholder="Report name" onChange={e => update(i, { name: e.target.value })}
+                    style={{ ...fieldInput, fontWeight: 600, fontSize: 13, flex: 1 }} />
+                  <label style={{ fontSize: 12, color: C.dark, display: 'flex', alignItems: 'center', gap: 4, whiteSpace: 'nowrap' }}>
+                    <input type="checkbox" checked={r.enabled} onChange={e => update(i, { enabled: e.target.checked })} />
+                    Enabled
+                  </label>
+                  {r.id && (
+                    <button onClick={() => sendNow(r)} disabled={sendingId !== null}
+                      style={{ border: 'none', background: 'none', color: C.accent, cursor: sendingId ? 'not-allowed' : 'pointer', fontSize: 12, fontWeight: 600, whiteSpace: 'nowrap' }}>
+                      {sendingId === r.id ? 'Sending...' : 'Send now'}
+                    </button>
+                  )}
+                  <button onClick={() => removeReport(i)}
+                    style={{ border: 'none', background: 'none', color: C.red, cursor: 'pointer', fontSize: 12 }}>
+                    Remove
+                  </button>
+                </div>
+
+                <div style={label}>Send to</div>
+                <div style={{ marginBottom: 12 }}>
+                  <ChannelPicker channels={r.channels} onChange={channels => update(i, { channels })} />
+                </div>
+
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 12 }}>
+                  <div>
+                    <div style={label}>To</div>
+                    <input value={r.to} placeholder="name@andyou.ph, ..." onChange={e => update(i, { to: e.target.value })} style={fieldInput} />
+                  </div>
+                  <div>
+                    <div style={label}>CC</div>
+                    <input value={r.cc} placeholder="—" onChange={e => update(i, { cc: e.target.value })} style={fieldInput} />
+                  </div>
+                </div>
+
+                <div style={{ display: 'flex', gap: 20, flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: 12 }}>
+                  <div>
+                    <div style={label}>Send at</div>
+                    <input type="time" step={meta.slotMinutes * 60} value={r.schedule.time}
+                      onChange={e => updateSchedule(i, { time: e.target.value })} style={{ ...fieldInput, width: 110 }} />
+                  </div>
+                  <div>
+                    <div style={label}>Weekdays</div>
+                    {WEEKDAYS.map((dayLabel, day) => {
+                      const on = r.schedule.weekdays.includes(day);
+                      return (
+                        <button key={day} onClick={() => toggleWeekday(i, day)} title={dayLabel}
+                          style={{
+                            width: 22, height: 22, marginRight: 2, borderRadius: 11, fontSize: 10, fontWeight: 600, cursor: 'pointer',
+                            border: on ? `2px solid ${C.accent}` : `1px solid ${C.beige}`,
+                            background: on ? '#FDF2EC' : '#fff',
+                            color: on ? C.accent : C.gray,
+                          }}>
+                          {dayLabel[0]}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  <label style={{ fontSize: 12, color: C.dark, display: 'flex', alignItems: 'center', gap: 4 }}>
+                    <input type="checkbox" checked={r.schedule.workingDaysOnly} onChange={e => updateSchedule(i, { workingDaysOnly: e.target.checked })} />
+                    Working days only
+                  </label>
+                </div>
+
+                <div style={label}>Includes</div>
+                <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                  {meta.sections.map(s => (
+                    <button key={s} onClick={() => toggleSection(i, s)} style={pill(r.sections.includes(s))}>
+                      {SECTION_LABELS[s] || s}
+                    </button>
+                  ))}
+                </div>
+
+                {lastRun && (
+                  <div style={{ fontSize: 10, color: C.gray, marginTop: 10 }}>Last sent {formatPHT(lastRun.sent_at)}</div>
+                )}
+              </div>
+            );
+          })}
+
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button onClick={save} disabled={saving}
+              style={{
+                padding: '10px 20px', borderRadius: 8, border: 'none',
+                background: C.accent, color: '#fff', fontWeight: 600, fontSize: 14,
+                cursor: saving ? 'not-allowed' : 'pointer', opacity: saving ? 0.6 : 1
+              }}>
+              {saving ? 'Saving...' : 'Save Reports'}
+            </button>
+            <button onClick={addReport}
+              style={{
+                padding: '10px 16px', borderRadius: 8, border: `1px solid ${C.beige}`, background: C.cream,
+                color: C.dark, fontWeight: 500, fontSize: 13, cursor: 'pointer'
+              }}>
+              + Add Report
+            </button>
+            <button onClick={() => setReports(meta.defaults.map(toForm))}
+              style={{
+                padding: '10px 16px', borderRadius: 8, border: `1px solid ${C.beige}`, background: '#fff',
+                color: C.gray, fontWeight: 500, fontSize: 13, cursor: 'pointer'
+              }}>
+              Reset to defaults
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
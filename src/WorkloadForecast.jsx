@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { C } from './theme.js';
+
+// Expected Ship Today volume for the next working day and the rest of its week
+export default function WorkloadForecast() {
+  const [forecast, setForecast] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/forecast')
+      .then(r => r.json())
+      .then(d => {
+        if (d.error) setError(d.error);
+        else setForecast(d);
+      })
+      .catch(e => setError(e.message));
+  }, []);
+
+  if (error) {
+    return (
+      <div style={{ background: '#fff', borderRadius: 12, padding: 16, border: `1px solid ${C.beige}`, marginBottom: 20, fontSize: 13, color: C.red }}>
+        Forecast unavailable: {error}
+      </div>
+    );
+  }
+  if (!forecast?.tomorrow) return null;
+
+  const next = forecast.tomorrow;
+  const rest = forecast.days.slice(1);
+  const dueCount = (d) => d.known.metro + d.known.provincial;
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'minmax(200px, 1fr) 3fr', gap: 16, marginBottom: 20 }}>
+      <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}` }}>
+        <div style={{ fontSize: 12, color: C.gray, marginBottom: 4 }}>Forecast · {next.weekday} {next.date.slice(5)}</div>
+        <div style={{ fontSize: 24, fontWeight: 700, color: C.dark, marginBottom: 2 }}>~{next.expected.total}</div>
+        <div style={{ fontSize: 11, color: C.gray }}>{next.expected.metro} metro · {next.expected.provincial} provincial</div>
+        <div style={{ fontSize: 10, color: C.gray, marginTop: 4 }}>
+          {dueCount(next) > 0 ? `${dueCount(next)} already due` : 'Nothing due yet'} · typical {next.weekday} from the last {forecast.basis.weeks} weeks
+        </div>
+      </div>
+      <div style={{ background: '#fff', borderRadius: 12, padding: 20, border: `1px solid ${C.beige}` }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 12 }}>
+          <div style={{ fontSize: 12, color: C.gray }}>Rest of the week</div>
+          {rest.length > 0 && (
+            <div style={{ fontSize: 12, color: C.dark, fontWeight: 600 }}>
+              ~{forecast.restOfWeek.total} <span style={{ fontWeight: 400, color: C.gray }}>({forecast.restOfWeek.metro} metro · {forecast.restOfWeek.provincial} provincial)</span>
+            </div>
+          )}
+        </div>
+        {rest.length > 0 ? (
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+            {rest.map(d => (
+              <div key={d.date} style={{ flex: '1 1 90px', background: C.cream, borderRadius: 8, padding: '8px 10px' }}>
+                <div style={{ fontSize: 11, color: C.gray }}>{d.weekday.slice(0, 3)} {d.date.slice(5)}</div>
+                <div style={{ fontSize: 18, fontWeight: 700, color: C.dark }}>~{d.expected.total}</div>
+                <div style={{ fontSize: 10, color: C.gray }}>{d.expected.metro} M · {d.expected.provincial} P{dueCount(d) > 0 ? ` · ${dueCount(d)} due` : ''}</div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div style={{ fontSize: 13, color: C.gray }}>No other working days this week</div>
+        )}
+      </div>
+    </div>
+  );
+}
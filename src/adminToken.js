@@ -0,0 +1,15 @@
+// Admin token for approving and fulfilling orders and for changing settings
+// (ADMIN_TOKEN or a personal ADMIN_TOKENS entry on the server, which also names you in the approval log).
+// Asked for once and kept in this browser; a rejected token is forgotten so the next save asks again.
+const STORAGE_KEY = 'adminToken';
+
+export function adminHeaders() {
+  let token = localStorage.getItem(STORAGE_KEY);
+  if (!token) {
+    token = window.prompt('Admin token (needed to approve or fulfill orders and change settings):')?.trim();
+    if (token) localStorage.setItem(STORAGE_KEY, token);
+  }
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+export const forgetAdminToken = () => localStorage.removeItem(STORAGE_KEY);
@@ -0,0 +1,36 @@
+// Shared palette, table cell, input and toggle styles for the dashboard components
+
+export const C = {
+  bg: "#FAF9F7",
+  accent: "#AF6E4C",
+  dark: "#101312",
+  gray: "#6B7280",
+  green: "#059669",
+  red: "#DC2626",
+  yellow: "#D97706",
+  beige: "#E8E4DF",
+  cream: "#F5F3F0",
+  blue: "#3B82F6",
+};
+
+export const thStyle = { padding: '10px 12px', textAlign: 'left', fontSize: 11, color: '#6B7280', fontWeight: 600, whiteSpace: 'nowrap' };
+export const tdStyle = { padding: '10px 12px', verticalAlign: 'top' };
+export const inputStyle = { padding: '8px 10px', borderRadius: 8, border: `1px solid ${C.beige}`, fontSize: 13, fontFamily: 'inherit' };
+
+// Small rounded toggle button, highlighted while `on`
+export const pill = (on) => ({
+  padding: '2px 8px', borderRadius: 12, fontSize: 10, fontWeight: 600, cursor: 'pointer',
+  border: on ? `2px solid ${C.accent}` : `1px solid ${C.beige}`,
+  background: on ? '#FDF2EC' : '#fff',
+  color: on ? C.accent : C.gray,
+});
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Badge colours for the server-side SLA buckets (api/_lib/sla.js)
+export const SLA_STYLES = {
+  overdue: { label: 'Overdue', color: C.red, bg: '#FEE2E2' },
+  ship_today: { label: 'Ship Today', color: C.accent, bg: '#FDF2EC' },
+  scheduled: { label: 'Scheduled', color: C.blue, bg: '#DBEAFE' },
+  new: { label: 'New', color: C.yellow, bg: '#FEF3C7' },
+};